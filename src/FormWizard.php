@@ -23,6 +23,7 @@ use yii\bootstrap\ActiveForm as BS3ActiveForm;
 use yii\helpers\ArrayHelper;
 use yii\helpers\Html;
 use yii\helpers\Json;
+use yii\helpers\Url;
 use yii\web\JsExpression;
 use yii\web\View;
 use buttflattery\formwizard\traits\WizardTrait;
@@ -61,6 +62,13 @@ class FormWizard extends Widget
      */
     private $_allFields = [];
 
+    /**
+     * Holds the javascript options of the steps like the `beforeNext` callback
+     *
+     * @var array
+     */
+    private $_stepOptions = [];
+
     /**
      * The Bootstrap Version to be loaded for the extension
      *
@@ -231,6 +239,170 @@ class FormWizard extends Widget
      */
     public $enablePersistence = false;
 
+    /**
+     * Adds the Export and Import buttons to download the data of all the
+     * steps as a json file and to fill the form from such a file
+     *
+     * @var boolean
+     */
+    public $enableExport = false;
+
+    /**
+     * Enables the undo and redo of the field changes and the tabular rows
+     * added or removed with Ctrl+Z and Ctrl+Shift+Z
+     *
+     * @var boolean
+     */
+    public $enableHistory = false;
+
+    /**
+     * Enables jumping to a step by clicking its anchor, the steps in between
+     * are validated when moving forward
+     *
+     * @var boolean
+     */
+    public $enableAnchorNavigation = false;
+
+    /**
+     * Adds the steps to the browser history so the back and forward buttons
+     * of the browser move between the steps, and the steps can be linked to
+     * with the url hash `#formId-step-N`
+     *
+     * @var boolean
+     */
+    public $enableBrowserHistory = false;
+
+    /**
+     * Shows the summary of the errors on top of the step when the step fails
+     * the validation, listing the label and the message of every failing field
+     *
+     * @var boolean
+     */
+    public $enableErrorSummary = false;
+
+    /**
+     * The header text for the error summary of the step
+     *
+     * @var string
+     */
+    public $errorSummaryHeader = 'Please fix the following errors:';
+
+    /**
+     * The message announced to the screen readers when a step is shown, the
+     * `{step}`, `{total}` and `{title}` are replaced with the step details
+     *
+     * @var string
+     */
+    public $ariaStepMessage = 'Step {step} of {total}: {title}';
+
+    /**
+     * The message announced to the screen readers when a step fails the
+     * validation, the `{count}`, `{messages}` and `{title}` are replaced with
+     * the error details
+     *
+     * @var string
+     */
+    public $ariaErrorMessage = '{title} has {count} error(s): {messages}';
+
+    /**
+     * The url to validate the fields of the current step on the server after
+     * they pass the client validation, can be overridden by the steps with
+     * the `ajaxValidationUrl` option of the step.
+     *
+     * The fields of the step are posted along with the `formwizard_step`
+     * parameter, and the url should respond with the JSON of the messages
+     * keyed by the field ids like `ActiveForm::validate()` does.
+     *
+     * @var string|array
+     */
+    public $ajaxValidationUrl;
+
+    /**
+     * The message shown when the step could not be validated on the server
+     *
+     * @var string
+     */
+    public $ajaxValidationError = 'The step could not be validated, please try again.';
+
+    /**
+     * The message shown inside the steps with the `contentUrl` option when
+     * their content could not be loaded, along with the retry button
+     *
+     * @var string
+     */
+    public $contentLoadError = 'The step could not be loaded.';
+
+    /**
+     * The rules comparing the values of the fields across the steps, checked
+     * when the form is finished or when entering the steps listed in `on`.
+     *
+     * Example:
+     * 'rules'=>[
+     *      [
+     *          'rule'=>'compare',
+     *          'field'=>'event-end_date',
+     *          'compareField'=>'event-start_date',
+     *          'operator'=>'>',
+     *          'type'=>'date',
+     *          'required'=>true,
+     *          'message'=>'End date must be after the start date.'
+     *      ],
+     *      [
+     *          'rule'=>'sum',
+     *          'field'=>'share-*-percent',
+     *          'compareValue'=>100,
+     *          'on'=>[3],
+     *          'message'=>'The shares must total 100%.'
+     *      ]
+     * ]
+     *
+     * @var array
+     */
+    public $rules = [];
+
+    /**
+     * The validation adapter used to validate the steps, one of `auto`, `yii`,
+     * `html5`, `callback` or the name of a custom adapter registered with
+     * `$.formwizard.validation.registerAdapter()`. The `auto` adapter uses the
+     * ActiveForm validation if the form has any attributes, and the HTML5
+     * validation otherwise.
+     *
+     * @var string
+     */
+    public $validationAdapter = 'auto';
+
+    /**
+     * The javascript callback used by the `callback` validation adapter.
+     *
+     * Example:
+     * 'validationCallback'=>'function(stepNumber, formId, fieldIds){ return {"user-name":["Name is required."]}; }'
+     *
+     * @var string
+     */
+    public $validationCallback;
+
+    /**
+     * The options for the persistence, used along with the `enablePersistence`.
+     *
+     * Example:
+     * persistenceOptions=>[
+     *      'storage'=>'remote',
+     *      'storageOptions'=>[
+     *          'url'=>'/site/draft'
+     *      ],
+     *      'ttl'=>86400,
+     *      'version'=>'2',
+     *      'migrate'=>'function(fields, draftVersion, formVersion){ return false; }',
+     *      'restorePreview'=>true,
+     *      'crossTab'=>'lock',
+     *      'encryptionKey'=>base64_encode($key),
+     *      'drafts'=>true
+     * ]
+     *
+     * @var array
+     */
+    public $persistenceOptions = [];
+
     /**
      * The Text label for the Next button. Default is `Next`.
      *
@@ -259,6 +431,36 @@ class FormWizard extends Widget
      */
     public $labelRestore = 'Restore';
 
+    /**
+     * The label text for the drafts button, shown when the `drafts`
+     * option is enabled in the `persistenceOptions`
+     *
+     * @var string
+     */
+    public $labelDrafts = 'Drafts';
+
+    /**
+     * The label text for the export button
+     *
+     * @var string
+     */
+    public $labelExport = 'Export';
+
+    /**
+     * The label text for the import button
+     *
+     * @var string
+     */
+    public $labelImport = 'Import';
+
+    /**
+     * The label text for the button to load the content of the step again
+     * when it could not be loaded
+     *
+     * @var string
+     */
+    public $labelRetry = 'Retry';
+
     /**
      * The icon for the Next button you want to be shown inside the button.
      * Default is `<i class="formwizard-arrow-right-alt1-ico"></i>`.
@@ -319,6 +521,42 @@ class FormWizard extends Widget
      */
     public $iconRestore = self::ICON_RESTORE;
 
+    /**
+     * The icon for the Drafts button you want to be shown inside the button.
+     * Default is `<i class="formwizard-quill-ico"></i>`.
+     *
+     * This can be an html string '<i class="fa fa-save"></i>'
+     * in case you are using FA, Material or Glyph icons, or an
+     * image tag like '<img src="/path/to/image" />'.
+     *
+     * @var mixed
+     */
+    public $iconDrafts = self::ICON_DRAFTS;
+
+    /**
+     * The icon for the Export button you want to be shown inside the button.
+     * Default is `<i class="formwizard-arrow-down-alt1-ico"></i>`.
+     *
+     * This can be an html string '<i class="fa fa-download"></i>'
+     * in case you are using FA, Material or Glyph icons, or an
+     * image tag like '<img src="/path/to/image" />'.
+     *
+     * @var mixed
+     */
+    public $iconExport = self::ICON_EXPORT;
+
+    /**
+     * The icon for the Import button you want to be shown inside the button.
+     * Default is `<i class="formwizard-arrow-up-alt1-ico"></i>`.
+     *
+     * This can be an html string '<i class="fa fa-upload"></i>'
+     * in case you are using FA, Material or Glyph icons, or an
+     * image tag like '<img src="/path/to/image" />'.
+     *
+     * @var mixed
+     */
+    public $iconImport = self::ICON_IMPORT;
+
     /**
      * The class for the Next button , default is `btn btn-info`
      *
@@ -354,6 +592,27 @@ class FormWizard extends Widget
      */
     public $classRestore = 'btn btn-success ';
 
+    /**
+     * The class for the Drafts button, default is btn btn-info
+     *
+     * @var string
+     */
+    public $classDrafts = 'btn btn-info ';
+
+    /**
+     * The class for the Export button, default is btn btn-info
+     *
+     * @var string
+     */
+    public $classExport = 'btn btn-info ';
+
+    /**
+     * The class for the Import button, default is btn btn-info
+     *
+     * @var string
+     */
+    public $classImport = 'btn btn-info ';
+
     /**
      * @var string
      */
@@ -384,6 +643,9 @@ class FormWizard extends Widget
     const ICON_FINISH = '<i class="formwizard-check-alt-ico"></i>';
     const ICON_ADD = '<i class="formwizard-plus-ico"></i>';
     const ICON_RESTORE = '<i class="formwizard-restore-ico"></i>';
+    const ICON_DRAFTS = '<i class="formwizard-quill-ico"></i>';
+    const ICON_EXPORT = '<i class="formwizard-arrow-down-alt1-ico"></i>';
+    const ICON_IMPORT = '<i class="formwizard-arrow-up-alt1-ico"></i>';
     const ICON_HEADING = '<i class="formwizard-quill-ico"></i>';
 
     /**
@@ -482,7 +744,7 @@ class FormWizard extends Widget
      */
     public function getPluginOptions()
     {
-        return [
+        $options = [
             'selected' => 0,
             'keyNavigation' => false,
             'autoAdjustHeight' => $this->autoAdjustHeight,
@@ -490,7 +752,8 @@ class FormWizard extends Widget
             'backButtonSupport' => false,
             'theme' => $this->theme,
             'transitionEffect' => $this->transitionEffect,
-            'showStepURLhash' => $this->showStepURLhash,
+            //the browser history sets the url hash itself
+            'showStepURLhash' => $this->enableBrowserHistory ? false : $this->showStepURLhash,
             'toolbarSettings' => [
                 'toolbarPosition' => $this->toolbarPosition,
                 'showNextButton' => false,
@@ -498,6 +761,7 @@ class FormWizard extends Widget
                 'toolbarExtraButtons' => $this->toolbarExtraButtons
             ],
             'anchorSettings' => [
+                //the anchor navigation is handled by the formwizard to validate the steps
                 'anchorClickable' => false,
                 'enableAllAnchors' => false,
                 'markDoneStep' => $this->markDoneStep,
@@ -506,6 +770,13 @@ class FormWizard extends Widget
                 'enableAnchorOnDoneStep' => $this->enableAnchorOnDoneStep
             ]
         ];
+
+        //the browser history opens the linked step once the steps before it are validated
+        if ($this->enableBrowserHistory) {
+            $options['useURLhash'] = false;
+        }
+
+        return $options;
     }
 
     /**
@@ -513,6 +784,7 @@ class FormWizard extends Widget
      *
      * @return string
      * @throws NotFoundHttpException
+     * @throws ArgException
      */
     public function run()
     {
@@ -522,6 +794,21 @@ class FormWizard extends Widget
 
         $pluginOptions = $this->getPluginOptions();
         $jsOptionsPersistence = Json::encode($this->enablePersistence);
+        $persistenceOptions = $this->persistenceOptions;
+
+        //javascript callbacks for the migration and the encryption key
+        foreach (['migrate', 'encryptionKeyProvider'] as $callback) {
+            if (isset($persistenceOptions[$callback]) && is_string($persistenceOptions[$callback])) {
+                $persistenceOptions[$callback] = new JsExpression($persistenceOptions[$callback]);
+            }
+        }
+        $jsPersistenceOptions = Json::encode((object) $persistenceOptions);
+        $jsOptionsDrafts = Json::encode(!empty($persistenceOptions['drafts']));
+        $jsOptionsExport = Json::encode($this->enableExport);
+        $jsOptionsHistory = Json::encode($this->enableHistory);
+        $jsOptionsAnchorNavigation = Json::encode($this->enableAnchorNavigation);
+        $jsOptionsBrowserHistory = Json::encode($this->enableBrowserHistory);
+        $jsOptionsErrorSummary = Json::encode($this->enableErrorSummary);
 
         $jsButton = <<< JS
         $.formwizard.helper.appendButtons({
@@ -538,7 +825,18 @@ class FormWizard extends Widget
             classPrev:'{$this->classPrev}',
             classFinish:'{$this->classFinish}',
             classRestore:'{$this->classRestore}',
+            labelDrafts:'{$this->labelDrafts}',
+            iconDrafts:'{$this->iconDrafts}',
+            classDrafts:'{$this->classDrafts}',
+            labelExport:'{$this->labelExport}',
+            labelImport:'{$this->labelImport}',
+            iconExport:'{$this->iconExport}',
+            iconImport:'{$this->iconImport}',
+            classExport:'{$this->classExport}',
+            classImport:'{$this->classImport}',
             enablePersistence:{$jsOptionsPersistence},
+            enableDrafts:{$jsOptionsDrafts},
+            enableExport:{$jsOptionsExport},
 
         }).concat({$pluginOptions['toolbarSettings']['toolbarExtraButtons']})
 JS;
@@ -577,6 +875,35 @@ JS;
         //encode plugin options
         $pluginOptionsJson = Json::encode($pluginOptions);
 
+        //encode the javascript options of the steps
+        $jsStepOptions = Json::encode((object) $this->_stepOptions);
+
+        //javascript callbacks for the cross step rules
+        $rules = array_map(
+            function ($rule) {
+                if (isset($rule['operator']) && !in_array($rule['operator'], ['==', '!=', '>', '>=', '<', '<='], true)) {
+                    throw new ArgException('The rule operator "' . $rule['operator'] . '" is not supported, use one of ==, !=, >, >=, < or <=.');
+                }
+                if (isset($rule['callback']) && is_string($rule['callback'])) {
+                    $rule['callback'] = new JsExpression($rule['callback']);
+                }
+                return $rule;
+            },
+            $this->rules
+        );
+        $jsRules = Json::encode(array_values($rules));
+
+        //encode the url for the server validation
+        $jsAjaxValidationUrl = Json::encode($this->ajaxValidationUrl !== null ? Url::to($this->ajaxValidationUrl) : null);
+
+        //encode the validation options
+        $jsValidationOptions = Json::encode(
+            [
+                'adapter' => $this->validationAdapter,
+                'callback' => $this->validationCallback !== null ? new JsExpression($this->validationCallback) : null
+            ]
+        );
+
         $this->registerScripts();
         //add tabular events call back js
         $js = $this->_tabularEventJs;
@@ -597,11 +924,12 @@ JS;
         // Smart Wizard
         $('#{$wizardContainerId}').smartWizard({$pluginOptionsJson});
 
-        //bind Yii ActiveForm event afterValidate to check
-        //only current steps fields for validation and allow to next step
-        if($('#{$this->formOptions["id"]}').yiiActiveForm('data').attributes.length){
-            $.formwizard.validation.bindAfterValidate('#{$this->formOptions["id"]}');
-        }
+        //bind Yii ActiveForm events to submit the form
+        //only once the last step is validated
+        $.formwizard.validation.bindAfterValidate('#{$this->formOptions["id"]}');
+
+        //check the cross step rules when entering the steps
+        $.formwizard.validation.rules.bind('#{$this->formOptions["id"]}');
 
         //fields list
         $.formwizard.fields.{$this->formOptions['id']}={$fieldsJSON};
@@ -624,15 +952,59 @@ JS;
             classListGroup:'{$this->classListGroup}',
             classListGroupHeading:'{$this->classListGroupHeading}',
             classListGroupItem:'{$this->classListGroupItem}',
-            classListGroupBadge:'{$this->classListGroupBadge}'
+            classListGroupBadge:'{$this->classListGroupBadge}',
+            enablePersistence:{$jsOptionsPersistence},
+            enableErrorSummary:{$jsOptionsErrorSummary},
+            errorSummaryHeader:'{$this->errorSummaryHeader}',
+            persistence:{$jsPersistenceOptions},
+            validation:{$jsValidationOptions},
+            rules:{$jsRules},
+            ajaxValidationUrl:{$jsAjaxValidationUrl},
+            ajaxValidationError:'{$this->ajaxValidationError}',
+            contentLoadError:'{$this->contentLoadError}',
+            labelRetry:'{$this->labelRetry}',
+            ariaStepMessage:'{$this->ariaStepMessage}',
+            ariaErrorMessage:'{$this->ariaErrorMessage}',
+            steps:{$jsStepOptions}
         };
 
+        //load the content of the steps with the content url when shown
+        $.formwizard.lazy.init('{$this->formOptions["id"]}');
+
+        //add the ARIA semantics and the focus management
+        $.formwizard.aria.init('{$this->formOptions["id"]}');
+
+        //show or skip the steps with the conditions
+        $.formwizard.conditions.bind('{$this->formOptions["id"]}');
+
         //init the data persistence if enabled
 
         if(true =={$jsOptionsPersistence}){
             $.formwizard.persistence.init('{$this->formOptions["id"]}');
         }
 
+        //jump to the steps with the anchors if enabled
+        if(true =={$jsOptionsAnchorNavigation}){
+            $.formwizard.formNavigation.bindAnchors('#{$this->formOptions["id"]}');
+        }
+
+        //init the undo and redo history if enabled
+        if(true =={$jsOptionsHistory}){
+            $.formwizard.history.init('{$this->formOptions["id"]}');
+        }
+
+        //keep the steps in the browser history if enabled
+        if(true =={$jsOptionsBrowserHistory}){
+            $.formwizard.browserHistory.init('{$this->formOptions["id"]}');
+        }
+
+JS;
+
+        //register the init of the wizard so it runs again after the PJAX requests
+        $js = <<<JS
+        $.formwizard.register('{$this->formOptions["id"]}', function () {
+            {$js}
+        });
 JS;
 
         //register script
@@ -710,6 +1082,49 @@ JS;
         //form body info text
         $formInfoText = ArrayHelper::getValue($step, 'formInfoText', 'Add details below');
 
+        //callback to run before moving to the next step
+        $beforeNext = ArrayHelper::getValue($step, 'beforeNext', false);
+
+        if ($beforeNext !== false) {
+            $this->_stepOptions[$index]['beforeNext'] = new JsExpression($beforeNext);
+        }
+
+        //condition to show the step
+        $condition = ArrayHelper::getValue($step, 'condition', false);
+
+        if ($condition !== false) {
+            //a single condition or a list of conditions that must all pass
+            $conditions = ArrayHelper::isAssociative($condition) ? [$condition] : $condition;
+
+            $this->_stepOptions[$index]['condition'] = array_map(
+                function ($condition) {
+                    if (isset($condition['callback']) && is_string($condition['callback'])) {
+                        $condition['callback'] = new JsExpression($condition['callback']);
+                    }
+                    return $condition;
+                },
+                $conditions
+            );
+        }
+
+        //url to validate the step on the server
+        $ajaxValidationUrl = ArrayHelper::getValue($step, 'ajaxValidationUrl', false);
+
+        if ($ajaxValidationUrl !== false) {
+            $this->_stepOptions[$index]['ajaxValidationUrl'] = Url::to($ajaxValidationUrl);
+        }
+
+        //url to load the content of the step from when it is shown
+        $contentUrl = ArrayHelper::getValue($step, 'contentUrl', false);
+
+        if ($contentUrl !== false) {
+            $this->_stepOptions[$index]['contentUrl'] = Url::to($contentUrl);
+            $this->_stepOptions[$index]['contentCache'] = (bool) ArrayHelper::getValue($step, 'contentCache', true);
+
+            //the fields are added once the content is loaded
+            $this->_allFields[$index] = [];
+        }
+
         //get html tabs
         $htmlTabs = $this->createTabs($index, $stepDescription, $stepTitle);
 
@@ -735,7 +1150,7 @@ JS;
 
         //make tabs
         $html .= Html::beginTag('li');
-        $html .= Html::beginTag('a', ['href' => '#step-' . $index]);
+        $html .= Html::beginTag('a', ['href' => '#' . $this->formOptions['id'] . '-step-' . $index]);
         $html .= $stepTitle . '<br />';
         $html .= Html::tag('small', $stepDescription);
         $html .= Html::endTag('a');
@@ -784,13 +1199,14 @@ JS;
             'type' => $stepType
         ];
 
-        //start step wrapper div
+        //start step wrapper div, the key stays with the step when the steps
+        //are rearranged so the tabular events remain bound to the step
         $html .= Html::beginTag(
             'div',
-            ['id' => 'step-' . $index, 'data' => ['step' => Json::encode($dataStep)]]
+            ['id' => $this->formOptions['id'] . '-step-' . $index, 'data' => ['step' => Json::encode($dataStep), 'formwizard-key' => $index]]
         );
 
-        $html .= Html::tag('div', $formInfoText, ['class' => 'border-bottom border-gray pb-2']);
+        $html .= Html::tag('div', $formInfoText, ['class' => 'border-bottom border-gray pb-2 formwizard-step-heading', 'tabindex' => -1]);
 
         //Add Row Buton to add fields dynamically
         if ($isTabularStep && !$hideTabularButtons) {
@@ -808,6 +1224,9 @@ JS;
             $html .= Html::beginTag('div', ["class" => $container_class? $container_class : "fields_container", 'data' => ['rows-limit' => $limitRows]]);
             //create step fields
             $html .= $this->createStepFields($index, $step, $isTabularStep, $limitRows);
+        } elseif (!empty($step['contentUrl'])) {
+            //the container for the content loaded when the step is shown
+            $html .= Html::beginTag('div', ["class" => $container_class? $container_class : "fields_container", 'data' => ['rows-limit' => $limitRows]]);
         }
 
         //close the field container tag </div>
@@ -910,7 +1329,7 @@ JS;
 
                     if (!$hideTabularButtons) {
                         //start the row constainer
-                        $htmlFields .= Html::beginTag('div', ['id' => 'row_' . $modelIndex, 'class' => 'tabular-row']);
+                        $htmlFields .= Html::beginTag('div', ['id' => $this->formOptions['id'] . '_row_' . $modelIndex, 'class' => 'tabular-row']);
 
                         //add the remove icon if edit mode and more than one rows
                         ($modelIndex > 0) && $htmlFields .= Html::tag('i', '', ['class' => 'remove-row formwizard-x-ico', 'data' => ['rowid' => $modelIndex]]);
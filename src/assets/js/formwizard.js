@@ -9,11 +9,107 @@ $.formwizard = {
     triggerEvent: (event, eventSelector, eventParams) => {
         $(eventSelector).trigger(event, eventParams);
     },
-    currentButtonTarget: null,
-    observerObj: null,
     fields: [],
     options: [],
-    submit: false,
+    instances: {},
+
+    /**
+     * Returns the state of the wizard of the form, kept for every form apart
+     * so that the wizards on the same page do not mix up
+     */
+    instance: (formId) => {
+        if (!$.formwizard.instances.hasOwnProperty(formId)) {
+            $.formwizard.instances[formId] = {
+                submit: false,
+                currentButtonTarget: null,
+                observer: null,
+                storageFields: {},
+                restoring: false,
+                syncing: false,
+                validationRun: 0,
+                pendingValidation: null
+            };
+        }
+        return $.formwizard.instances[formId];
+    },
+
+    /**
+     * Returns the namespace of the event handlers bound for the wizard of the
+     * form, used to unbind them all when the wizard is destroyed
+     */
+    namespace: (formId) => ".formwizard-" + formId,
+    initializers: {},
+
+    /**
+     * Runs the init script of the wizard of the form, the init is kept so the
+     * wizard can be initialized again when the PJAX restores its content
+     */
+    register: (formId, init) => {
+        $.formwizard.initializers[formId] = init;
+
+        //the wizard rendered again replaces the previous one
+        if ($.formwizard.options.hasOwnProperty(formId)) {
+            $.formwizard.destroy(formId);
+        } else {
+            $.formwizard.cleanup(formId);
+        }
+        init();
+    },
+
+    /**
+     * Removes the wizard from the form along with all its event handlers,
+     * the observer, the ActiveForm fields and the state of the wizard
+     */
+    destroy: (formId) => {
+        if (!$.formwizard.options.hasOwnProperty(formId)) {
+            return;
+        }
+
+        let form = $("#" + formId);
+        let instance = $.formwizard.instance(formId);
+        let adapter = $.formwizard.validation.adapter(formId);
+
+        instance.observer !== null && instance.observer.disconnect();
+        $(document).add(window).add(form).add(form.find("*")).off($.formwizard.namespace(formId));
+        $.formwizard.persistence.crossTab.close(formId);
+
+        //remove the fields from the ActiveForm validation
+        [].concat.apply([], $.formwizard.fields[formId]).forEach(fieldId => adapter.remove(formId, fieldId));
+
+        $("#" + $.formwizard.options[formId].wizardContainerId).removeData("smartWizard");
+        $.formwizard.cleanup(formId);
+
+        delete $.formwizard.instances[formId];
+        delete $.formwizard.options[formId];
+        delete $.formwizard.fields[formId];
+        delete $.formwizard.conditions.skipped[formId];
+        delete $.formwizard.aria.errors[formId];
+        delete $.formwizard.history.forms[formId];
+        delete $.formwizard.browserHistory.navigating[formId];
+        delete $.formwizard.persistence.versions[formId];
+        delete $.formwizard.persistence.writes[formId];
+        delete $.formwizard.persistence.storages[formId];
+        delete $.formwizard.persistence.encryption.keys[formId];
+    },
+
+    /**
+     * Removes the elements the wizard added to the form and the state of
+     * the steps, the markup restored by the PJAX is cleaned up the same way
+     */
+    cleanup: (formId) => {
+        let form = $("#" + formId);
+
+        form.find(".sw-toolbar, .formwizard-live, .formwizard-error-summary, .formwizard-restore-preview, .formwizard-drafts, .formwizard-crosstab-notice, .preview-container").remove();
+        form.find("ul.step-anchor > li").removeClass("active done danger hidden clickable");
+        form.find("ul.step-anchor > li > a").off("click");
+
+        //enable the inputs disabled by the step conditions and the other tabs
+        form.find("[data-formwizard-skipped]").prop("disabled", false).removeAttr("data-formwizard-skipped");
+        form.find(".formwizard-tab-locked").prop("disabled", false).removeClass("formwizard-tab-locked");
+
+        //load the content of the lazy steps again as its fields are not registered
+        form.find("[data-formwizard-loaded]").removeAttr("data-formwizard-loaded");
+    },
     helper: {
         showMessage: message => {
             alert(message);
@@ -22,7 +118,10 @@ $.formwizard = {
             let formId = $(element)
                 .closest("form")
                 .attr("id");
-            let currentIndex = $.formwizard.helper.currentIndex("#" + formId);
+            let stepData = $(element).closest("div.step-content").data("step");
+
+            //the rows of the other steps can be removed while restoring the drafts
+            let currentIndex = typeof stepData !== "undefined" ? stepData.number : $.formwizard.helper.currentIndex("#" + formId);
             let field = $(element).attr("id");
             let currentStepFields = $.formwizard.fields[formId][currentIndex];
 
@@ -37,6 +136,21 @@ $.formwizard = {
         addField: (formId, element, currentStep) => {
             $.formwizard.fields[formId][currentStep].push(element.id);
         },
+
+        /**
+         * Returns the ids of the fields in the element, the radio and checkbox
+         * lists are registered by their container like the ActiveForm does
+         */
+        fieldIds: (element) => {
+            let fieldIds = [];
+
+            $(element).find("input[id],select[id],textarea[id],input:radio:not([id]),input:checkbox:not([id])").each(function () {
+                let field = this.id ? this : $(this).closest("div[id]:not(.tabular-row)", element).get(0);
+
+                field && fieldIds.indexOf(field.id) === -1 && fieldIds.push(field.id);
+            });
+            return fieldIds;
+        },
         shake: function (form) {
             $(form + " .sw-main").addClass("shake animated");
             setTimeout(function () {
@@ -57,9 +171,21 @@ $.formwizard = {
             classPrev,
             classFinish,
             classRestore,
-            enablePersistence = false
+            labelDrafts = "Drafts",
+            iconDrafts = "",
+            classDrafts = "",
+            labelExport = "Export",
+            labelImport = "Import",
+            iconExport = "",
+            iconImport = "",
+            classExport = "",
+            classImport = "",
+            enablePersistence = false,
+            enableDrafts = false,
+            enableExport = false
         }) {
             let buttons = [];
+            let namespace = $.formwizard.namespace($(form).attr("id"));
 
             if (enablePersistence) {
                 buttons.push(
@@ -71,12 +197,41 @@ $.formwizard = {
                 );
             }
 
+            //add the named drafts button next to the restore button
+            if (enablePersistence && enableDrafts) {
+                buttons.push(
+                    $('<button class="formwizard_drafts" type="button"></button>')
+                    .html(iconDrafts + "&nbsp;" + labelDrafts)
+                    .addClass(classDrafts)
+                );
+            }
+
+            //add the export and import buttons
+            if (enableExport) {
+                buttons.push(
+                    $('<button class="formwizard_export" type="button"></button>')
+                    .html(iconExport + "&nbsp;" + labelExport)
+                    .addClass(classExport)
+                    .on("click" + namespace, function (e) {
+                        e.preventDefault();
+                        $.formwizard.transfer.download($(form).attr("id"));
+                    }),
+                    $('<button class="formwizard_import" type="button"></button>')
+                    .html(iconImport + "&nbsp;" + labelImport)
+                    .addClass(classImport)
+                    .on("click" + namespace, function (e) {
+                        e.preventDefault();
+                        $.formwizard.transfer.choose($(form).attr("id"));
+                    })
+                );
+            }
+
             //add to buttons array
             buttons.push(
                 $('<button class="formwizard_prev"></button>')
                 .html(iconPrev + "&nbsp;" + labelPrev)
                 .addClass(classPrev)
-                .on("click", function (e) {
+                .on("click" + namespace, function (e) {
                     e.preventDefault();
                     $.formwizard.formNavigation.previous(e.target);
                 })
@@ -104,67 +259,152 @@ $.formwizard = {
 
             var combined = formwizardBtnNext.add(formwizardBtnFinish);
 
-            $(combined).on("click", function (e) {
+            $(combined).on("click" + namespace, function (e) {
                 e.preventDefault();
-                if ($(form).yiiActiveForm("data").attributes.length) {
-                    return $.formwizard.validation.run(form, e);
-                }
-                if ($(e.target).hasClass("formwizard_finish")) {
-                    $(form).yiiActiveForm("submitForm");
-                }
-                return $.formwizard.formNavigation.next(e.target);
+                return $.formwizard.validation.run(form, e);
             });
 
             return buttons;
         },
         updateButtons: function (wizardContainerId) {
-            $(wizardContainerId).on("showStep", function (
+            let formId = $(wizardContainerId).closest("form").attr("id");
+
+            $(wizardContainerId).on("showStep" + $.formwizard.namespace(formId), function (
                 e,
                 anchorObject,
                 stepNumber,
                 stepDirection,
                 stepPosition
             ) {
-                let btnPrev = $(
-                    wizardContainerId +
-                    " > .sw-toolbar > .sw-btn-group-extra button.formwizard_prev"
-                );
-                let btnFinish = $(
-                    wizardContainerId +
-                    " > .sw-toolbar > .sw-btn-group-extra >button.formwizard_finish"
-                );
-                let btnNext = $(
-                    wizardContainerId +
-                    " > .sw-toolbar > .sw-btn-group-extra >button.formwizard_next "
-                );
+                //the position skips the hidden steps
+                $.formwizard.helper.toggleButtons(wizardContainerId, $.formwizard.helper.stepPosition(wizardContainerId, stepNumber));
+            });
+        },
+        toggleButtons: function (wizardContainerId, stepPosition) {
+            let btnPrev = $(
+                wizardContainerId +
+                " > .sw-toolbar > .sw-btn-group-extra button.formwizard_prev"
+            );
+            let btnFinish = $(
+                wizardContainerId +
+                " > .sw-toolbar > .sw-btn-group-extra >button.formwizard_finish"
+            );
+            let btnNext = $(
+                wizardContainerId +
+                " > .sw-toolbar > .sw-btn-group-extra >button.formwizard_next "
+            );
+
+            //the prev button is disabled with the class only
+            btnPrev.attr("aria-disabled", stepPosition === "first" ? "true" : "false");
+
+            if (stepPosition === "first") {
+                btnPrev.addClass("disabled");
+                btnFinish.addClass("hidden d-none");
+                btnNext.removeClass("hidden d-none");
+            } else if (stepPosition === "final") {
+                btnNext.addClass("hidden d-none");
+                btnFinish.removeClass("hidden d-none");
+                btnPrev.removeClass("disabled hidden d-none");
+                //call preview step if enabled
+                $.formwizard.helper.addPreviewStep(wizardContainerId);
+            } else {
+                btnPrev.removeClass("disabled");
+                btnNext.removeClass("disabled hidden d-none");
+                btnFinish.addClass("hidden d-none");
+            }
+        },
+        currentIndex: function (form) {
+            return $(form + " ul.step-anchor>li.active").index();
+        },
+
+        /**
+         * Returns the closest step before or after the step, skipping the
+         * hidden and disabled steps, or -1 if there is none
+         */
+        siblingStep: (wizardContainerId, step, direction) => {
+            let anchors = $(wizardContainerId + " > ul.step-anchor > li");
+
+            for (let index = step + direction; index >= 0 && index < anchors.length; index += direction) {
+                if (!anchors.eq(index).is(".hidden,.disabled")) {
+                    return index;
+                }
+            }
+            return -1;
+        },
+
+        /**
+         * Returns the ids of the step panels and the tabular rows, prefixed with
+         * the form id as the other wizards of the page number them the same
+         */
+        stepId: (formId, step) => formId + "-step-" + step,
+        rowId: (formId, row) => formId + "_row_" + row,
+        stepPosition: (wizardContainerId, step) => {
+            if ($.formwizard.helper.siblingStep(wizardContainerId, step, -1) === -1) {
+                return "first";
+            }
+            return $.formwizard.helper.siblingStep(wizardContainerId, step, 1) === -1 ? "final" : "middle";
+        },
+
+        /**
+         * Returns the values of all the fields keyed by the field ids
+         */
+        fieldValues: (formId) => {
+            let values = {};
 
-                if (stepPosition === "first") {
-                    btnPrev.addClass("disabled");
-                    btnFinish.addClass("hidden d-none");
-                    btnNext.removeClass("hidden d-none");
-                } else if (stepPosition === "final") {
-                    btnNext.addClass("hidden d-none");
-                    btnFinish.removeClass("hidden d-none");
-                    btnPrev.removeClass("disabled hidden d-none");
-                    //call preview step if enabled
-                    $.formwizard.helper.addPreviewStep(wizardContainerId);
+            $.each($.formwizard.persistence.collect(formId), function (stepKey, stepData) {
+                //the tabular steps are grouped by the rows
+                if (stepData.stepType == "tabular") {
+                    $.each(stepData.fields, (rowId, fields) => $.extend(values, fields));
                 } else {
-                    btnPrev.removeClass("disabled");
-                    btnNext.removeClass("disabled hidden d-none");
-                    btnFinish.addClass("hidden d-none");
+                    $.extend(values, stepData.fields);
                 }
+            });
+            return values;
+        },
+        busy: (form, isBusy) => {
+            $(form + " button.formwizard_next," + form + " button.formwizard_finish")
+                .toggleClass("formwizard-busy", isBusy)
+                .prop("disabled", isBusy)
+                .attr("aria-busy", isBusy ? "true" : null);
+        },
+
+        /**
+         * Returns the inputs of the selector or the elements serialized for the ajax requests
+         * of the step, along with the step number and the CSRF token
+         */
+        postData: (selector, step) => {
+            let data = $(selector).serializeArray();
 
+            data.push({
+                name: "formwizard_step",
+                value: step
             });
+
+            if (typeof yii !== "undefined" && yii.getCsrfParam()) {
+                data.push({
+                    name: yii.getCsrfParam(),
+                    value: yii.getCsrfToken()
+                });
+            }
+            return $.param(data);
         },
-        currentIndex: function (form) {
-            return $(form + " ul.step-anchor>li.active").index();
+        stepOption: (formId, step, option) => {
+            let steps = $.formwizard.options[formId].steps || {};
+
+            return steps.hasOwnProperty(step) ? steps[step][option] : undefined;
         },
         addPreviewStep: (wizardContainerId) => {
             let formwizardOptions = $.formwizard.options;
             let formId = $(wizardContainerId).closest('form').attr('id');
+
+            //the plugin shows the first step before the options of the form are set
+            if (!formwizardOptions.hasOwnProperty(formId)) {
+                return;
+            }
+
             let fragment = document.createDocumentFragment();
             let currentStep = $.formwizard.helper.currentIndex('#' + formId);
-            let stepContainer = document.querySelector('#step-' + currentStep);
+            let stepContainer = document.getElementById($.formwizard.helper.stepId(formId, currentStep));
             let bsVersion = formwizardOptions[formId].bsVersion;
             let classListGroup = formwizardOptions[formId].classListGroup;
             let classListGroupHeading = formwizardOptions[formId].classListGroupHeading;
@@ -173,15 +413,20 @@ $.formwizard = {
                 element.remove();
             });
 
-            if (formwizardOptions.hasOwnProperty(formId) && formwizardOptions[formId].enablePreview) {
+            if (formwizardOptions[formId].enablePreview) {
                 let fields = $.formwizard.fields[formId];
                 fields.forEach(function (stepFields, step) {
+                    //skip the steps hidden by their conditions
+                    if ($.formwizard.conditions.isSkipped(formId, step)) {
+                        return;
+                    }
+
                     let stepPreviewContainer = document.createElement("div");
                     stepPreviewContainer.setAttribute('class', classListGroup + ' preview-container');
                     stepPreviewContainer.dataset.step = step;
                     let rowHtml = '<h4 class="' + classListGroupHeading + '">Step ' + parseInt(step + 1) + '</h4>';
                     stepFields.forEach(function (fieldName, index) {
-                        let inputLabel = $.formwizard.helper.getpreviewInputLabel(fieldName);
+                        let inputLabel = $.formwizard.helper.getpreviewInputLabel(fieldName, formId);
                         let inputValue = $.formwizard.helper.getpreviewInputValue(formId, fieldName);
                         let stepData = {
                             label: inputLabel == '' ? 'NA' : inputLabel,
@@ -196,18 +441,19 @@ $.formwizard = {
                 });
 
                 stepContainer.appendChild(fragment);
-                $(".preview-button").on('click', function (e) {
+                $(stepContainer).find(".preview-button").on('click', function (e) {
                     let stepNo = $(this).closest('div.preview-container').data('step');
                     $.formwizard.formNavigation.goToStep(wizardContainerId, stepNo);
                 });
             }
         },
-        getpreviewInputLabel: (fieldName) => {
-            let text = $('#' + fieldName).siblings('label').text();
+        getpreviewInputLabel: (fieldName, formId) => {
+            let field = $('#' + formId + ' #' + fieldName);
+            let text = field.siblings('label').text();
             if (text !== '') {
                 return text;
             }
-            return $('#' + fieldName).attr("placeholder");
+            return field.attr("placeholder");
         },
         getpreviewInputValue: (formId, fieldName) => {
             let inputType = $('#' + formId + ' #' + fieldName);
@@ -232,593 +478,3442 @@ $.formwizard = {
     },
     validation: {
         run: function (form, event) {
-            $.formwizard.currentButtonTarget = event.target;
-            $(form).yiiActiveForm("validate", true);
-        },
-        bindAfterValidate: function (form) {
-            $(form)
-                .on("afterValidate", function (event, messages, errorAttributes) {
-                    event.preventDefault();
-                    let formName = $(this).attr("id");
-                    let currentIndex = $.formwizard.helper.currentIndex(form);
-                    const isLastStep = currentIndex == $(form + " .step-anchor").find("li").length - 1;
-                    let res;
+            let formId = $(form).attr("id");
+            let currentIndex = $.formwizard.helper.currentIndex(form);
+            const isLastStep = $.formwizard.helper.stepPosition("#" + $.formwizard.options[formId].wizardContainerId, currentIndex) == "final";
+            let validation = $.formwizard.validation;
+            let instance = $.formwizard.instance(formId);
 
-                    if (!$(form).data('yiiActiveForm').submitting) {
-                        return false;
-                    }
+            //the results of the runs started before this one are ignored
+            let run = ++instance.validationRun;
 
-                    //check if the preview step then skip validation messages check
-                    if ($.formwizard.options[formName].enablePreview && isLastStep) {
-                        res = 0;
-                    } else {
-                        res = $.formwizard.fields[formName][currentIndex].diff(messages);
+            instance.currentButtonTarget = event.target;
+
+            //check if last step then validate all the steps and submit form
+            if (isLastStep) {
+                return validation.validateSteps(formId).then(stepErrors => {
+                    if (run !== instance.validationRun) {
+                        return false;
                     }
 
-                    if (!res.length) {
-                        //check if last step then submit form
+                    let failedSteps = Object.keys(stepErrors).filter(step => !$.isEmptyObject(stepErrors[step]));
 
-                        if (isLastStep) {
-                            $.formwizard.submit = true;
-                            return true;
-                        } else {
-                            $(form).yiiActiveForm("resetForm");
-                            $.formwizard.formNavigation.next(
-                                $.formwizard.currentButtonTarget
-                            );
-                        }
-                    } else {
+                    //take the user to the first step that failed
+                    if (failedSteps.length) {
+                        $.formwizard.formNavigation.goToStep("#" + $.formwizard.options[formId].wizardContainerId, parseInt(failedSteps[0], 10));
                         $.formwizard.helper.shake(form);
+                        return false;
+                    }
+
+                    if (!validation.rules.check(formId, "finish")) {
+                        return false;
                     }
+                    validation.submit(formId);
+                    return true;
+                }).catch(error => validation.stopped(form, error));
+            }
+
+            return validation.leaveStep(form, currentIndex).then(passed => {
+                if (run !== instance.validationRun) {
+                    return false;
+                }
+                passed && $.formwizard.formNavigation.next(instance.currentButtonTarget);
+                return passed;
+            }).catch(error => run === instance.validationRun && validation.stopped(form, error));
+        },
+
+        /**
+         * Releases the buttons when a custom adapter fails, the step is not left
+         */
+        stopped: function (form, error) {
+            let formId = $(form).attr("id");
+
+            $.formwizard.helper.busy(form, false);
+            $.formwizard.validation.failure(formId, error);
+            $.formwizard.helper.shake(form);
+            return false;
+        },
+
+        /**
+         * Validates the step and runs its `beforeNext` callback, resolves with
+         * `true` if the user can move past the step
+         */
+        leaveStep: function (form, step) {
+            let formId = $(form).attr("id");
+            let validation = $.formwizard.validation;
+
+            return validation.validateStep(formId, step).then(errors => {
+                if (!$.isEmptyObject(errors)) {
+                    $.formwizard.helper.shake(form);
+                    $.formwizard.aria.focus(formId, step);
+                    return false;
+                }
+
+                validation.adapter(formId).reset(formId);
+                return validation.beforeNext(form, step);
+            });
+        },
+        bindAfterValidate: function (form) {
+            let formId = $(form).attr("id");
+
+            $(form)
+                .on("afterValidate" + $.formwizard.namespace(formId), function (event, messages, errorAttributes) {
+                    //the steps are validated with the adapters
+                    event.preventDefault();
                     return false;
                 })
-                .on("beforeSubmit", function (event) {
+                .on("beforeSubmit" + $.formwizard.namespace(formId), function (event) {
                     event.preventDefault();
-                    if ($.formwizard.submit) {
-                        $.formwizard.persistence.clearStorage();
+                    if ($.formwizard.instance($(this).attr("id")).submit) {
+                        $.formwizard.persistence.clearStorage($(this).attr("id"));
                         return true;
                     }
                     return false;
                 });
         },
-        isValid: function (messages) {
-            for (var i in messages) {
-                if (messages[i].length > 0) {
+
+        /**
+         * Declarative rules comparing the values of the fields from any step,
+         * checked when entering a step or when finishing the form
+         */
+        rules: {
+            operators: {
+                "==": (a, b) => a == b,
+                "!=": (a, b) => a != b,
+                ">": (a, b) => a > b,
+                ">=": (a, b) => a >= b,
+                "<": (a, b) => a < b,
+                "<=": (a, b) => a <= b
+            },
+            bind: function (form) {
+                //run the rules of the step entered moving forward
+                $(form).on("showStep" + $.formwizard.namespace($(form).attr("id")), function (e, anchorObject, stepNumber, stepDirection) {
+                    if (stepDirection == "forward") {
+                        $.formwizard.validation.rules.check($(this).attr("id"), stepNumber);
+                    }
+                });
+            },
+
+            /**
+             * Returns the ids of the fields matching the field id, the `*` in
+             * the id matches the index of all the tabular rows
+             */
+            fieldIds: (formId, fieldId) => {
+                let pattern = new RegExp("^" + fieldId.replace(/[-[\]{}()+?.,\\^$|#\s]/g, "\\$&").replace(/\*/g, "\\d+") + "$");
+
+                return [].concat.apply([], $.formwizard.fields[formId]).filter(id => pattern.test(id));
+            },
+            isEmpty: (value) => [].concat(value).join("") === "",
+            cast: (value, type) => {
+                if (type == "number") {
+                    return parseFloat(value) || 0;
+                }
+                if (type == "date") {
+                    return Date.parse(value);
+                }
+                return value;
+            },
+
+            /**
+             * Returns the value of the rule for the field, the values of the
+             * tabular rows are summed up for the `sum` rule
+             */
+            value: (formId, rule, fieldId, values) => {
+                let cast = $.formwizard.validation.rules.cast;
+                let fieldIds = $.formwizard.validation.rules.fieldIds(formId, fieldId);
+
+                if (rule.rule == "sum") {
+                    return fieldIds.reduce((sum, id) => sum + cast(values[id], "number"), 0);
+                }
+                return cast(values[fieldIds[0]], rule.type);
+            },
+            passes: (formId, rule, values) => {
+                let rules = $.formwizard.validation.rules;
+
+                if (rule.rule == "callback") {
+                    return rule.callback(values, formId) !== false;
+                }
+
+                //the empty fields pass unless required, as the dates of the optional fields cannot be compared
+                if (rule.rule != "sum" && !rule.required && [rule.field, rule.compareField].some(
+                    fieldId => typeof fieldId !== "undefined" && rules.isEmpty(values[rules.fieldIds(formId, fieldId)[0]])
+                )) {
                     return true;
                 }
-            }
-            return false;
-        },
-        updateErrorMessages: function (form, messages) {
-            for (var i in messages) {
-                if (messages[i].length) {
-                    let attribute = i.replace(/\-([0-9]+)/g, "");
-                    $(form).yiiActiveForm("updateAttribute", attribute, messages[i]);
+
+                let value = rules.value(formId, rule, rule.field, values);
+                let compareValue = rule.hasOwnProperty("compareField") ? rules.value(formId, rule, rule.compareField, values) : rules.cast(rule.compareValue, rule.rule == "sum" ? "number" : rule.type);
+
+                if (!rules.operators.hasOwnProperty(rule.operator || "==")) {
+                    throw new Error("Unknown rule operator: " + rule.operator);
+                }
+                return rules.operators[rule.operator || "=="](value, compareValue);
+            },
+
+            /**
+             * Returns the step of the rule, either set with the rule or the
+             * step of its field
+             */
+            step: (formId, rule) => {
+                let fieldId = $.formwizard.validation.rules.fieldIds(formId, rule.field || "")[0];
+
+                return rule.hasOwnProperty("step") ? rule.step : $.formwizard.fields[formId].findIndex(stepFields => stepFields.indexOf(fieldId) !== -1);
+            },
+
+            /**
+             * Checks the rules for the trigger, either the step number entered
+             * or `finish`. The first failing rule takes the user to its step
+             * and marks it with the message.
+             */
+            check: (formId, trigger) => {
+                let rules = $.formwizard.validation.rules;
+                let values = $.formwizard.helper.fieldValues(formId);
+                let failed = ($.formwizard.options[formId].rules || []).filter(
+                    rule => [].concat(rule.on || "finish").indexOf(trigger) !== -1 && !$.formwizard.conditions.isSkipped(formId, rules.step(formId, rule))
+                ).find(rule => !rules.passes(formId, rule, values));
+
+                if (typeof failed === "undefined") {
+                    return true;
+                }
+
+                let fieldId = rules.fieldIds(formId, failed.field || "")[0];
+                let step = rules.step(formId, failed);
+                let options = $.formwizard.options[formId];
+
+                if (step === -1) {
+                    step = $.formwizard.helper.currentIndex("#" + formId);
+                }
+
+                $.formwizard.formNavigation.goToStep("#" + options.wizardContainerId, step);
+                $.formwizard.validation.markStep(formId, step, {
+                    [fieldId || ""]: [failed.message]
+                });
+
+                if (!options.enableErrorSummary) {
+                    $.formwizard.helper.showMessage(failed.message);
                 }
+                return false;
             }
         },
-        addField: (form, fieldOptions) => {
-            $("#" + form).yiiActiveForm("add", fieldOptions);
-        },
-        removeField: (element) => {
-            let formId = $(element)
-                .closest("form")
-                .attr("id");
-            $("#" + formId).yiiActiveForm("remove", element.id);
-        }
-    },
-    formNavigation: {
-        next: (target) => {
+        settings: (formId) => $.extend({
+            adapter: "auto",
+            callback: null
+        }, $.formwizard.options[formId].validation),
 
-            let containerId = $(target)
-                .parent()
-                .closest(".sw-main")
-                .attr("id");
-            $("#" + containerId).smartWizard("next");
-        },
-        goToStep: (wizardContainerId, stepno) => {
-            $(wizardContainerId).smartWizard("goToStep", stepno);
-        },
-        previous: (target) => {
-            let containerId = $(target)
-                .parent()
-                .closest(".sw-main")
-                .attr("id");
-            $("#" + containerId).smartWizard("prev");
-        }
-    },
-    observer: {
-        start: function (selector) {
-            // select the target node in select2
-            var target = document.querySelector(selector);
+        /**
+         * Returns the validation adapter for the form, the `auto` adapter uses
+         * the ActiveForm when it has any attributes and the HTML5 validation
+         * otherwise
+         */
+        adapter: (formId) => {
+            let validation = $.formwizard.validation;
+            let name = validation.settings(formId).adapter;
 
-            $.formwizard.observerObj = $.formwizard.observer.observerInstance(selector);
+            if (name == "auto") {
+                let data = typeof $.fn.yiiActiveForm === "function" && $("#" + formId).data("yiiActiveForm");
 
-            // configuration of the observer:
-            var config = {
-                childList: true,
-                attributes: true,
-                subtree: false
-            };
+                name = data && data.attributes.length ? "yii" : "html5";
+            }
 
-            // pass in the target node, as well as the observer options
-            $.formwizard.observerObj.observe(target, config);
+            if (!validation.adapters.hasOwnProperty(name)) {
+                throw new Error("Unknown validation adapter: " + name);
+            }
+            return validation.adapters[name];
+        },
+        registerAdapter: (name, adapter) => {
+            $.formwizard.validation.adapters[name] = adapter;
         },
 
         /**
-         *
-         * @returns {MutationObserver}
+         * Validates the fields of the step, resolves with the error messages
+         * keyed by the field ids, an empty object if the step is valid
          */
-        observerInstance: function (selector) {
-            // create an observer instance
-            return new MutationObserver(function (mutations) {
-                mutations.forEach(function (mutation) {
-                    if (mutation.type == "childList") {
+        validateStep: (formId, step) => $.formwizard.lazy.load(formId, step, false).then(
+            loaded => loaded ? $.formwizard.validation.adapter(formId).validate(formId, step) : $.formwizard.lazy.errors(formId)
+        ).then(
+            errors => $.isEmptyObject(errors) ? $.formwizard.validation.server.validate(formId, step) : errors
+        ).then(errors => {
+            $.formwizard.validation.markStep(formId, step, errors);
+            return errors;
+        }),
 
-                        //check if material theme used 
-                        if (typeof $.themematerial !== 'undefined') {
-                            $.themematerial.init();
-                        }
+        /**
+         * Validates the fields of the step on the server after they pass the
+         * client validation, only the fields of the step are posted and the
+         * server responds with the messages keyed by the field ids
+         */
+        server: {
+            url: (formId, step) => $.formwizard.helper.stepOption(formId, step, "ajaxValidationUrl") || $.formwizard.options[formId].ajaxValidationUrl,
+            validate: (formId, step) => {
+                let url = $.formwizard.validation.server.url(formId, step);
 
-                        //init the button events for thetabular steps
-                        $.formwizard.init(selector);
-                        $.formwizard.observerObj.disconnect();
+                if (!url) {
+                    return Promise.resolve({});
+                }
+
+                $.formwizard.helper.busy("#" + formId, true);
+
+                return Promise.resolve($.ajax({
+                    url: url,
+                    type: "POST",
+                    data: $.formwizard.helper.postData($.formwizard.validation.server.inputs(formId, step), step),
+                    dataType: "json"
+                })).then(messages => {
+                    let errors = {};
+
+                    $.each(messages || {}, function (fieldId, fieldMessages) {
+                        fieldMessages = [].concat(fieldMessages);
+                        fieldMessages.length && (errors[fieldId] = fieldMessages);
+                    });
+                    $.formwizard.validation.server.show(formId, step, errors);
+                    return errors;
+                }, () => $.formwizard.validation.failure(formId)).then(errors => {
+                    $.formwizard.helper.busy("#" + formId, false);
+                    return errors;
+                });
+            },
+
+            /**
+             * Returns the inputs of the fields registered for the step, the
+             * radio and checkbox lists are posted with their items
+             */
+            inputs: (formId, step) => $($.formwizard.fields[formId][step].map(fieldId => {
+                let field = $("#" + formId + " #" + fieldId);
+
+                return (field.is(":input") ? field : field.find(":input")).get();
+            }).reduce((inputs, fieldInputs) => inputs.concat(fieldInputs), [])).not("[data-formwizard-skipped]"),
+
+            /**
+             * Shows the messages with the ActiveForm for its attributes, and
+             * with the ActiveForm markup for the rest of the fields
+             */
+            show: (formId, step, errors) => {
+                let form = $("#" + formId);
+                let isActiveForm = typeof $.fn.yiiActiveForm === "function" && form.data("yiiActiveForm");
+                let attributes = {};
+                let fields = {};
+
+                $.each(errors, function (fieldId, messages) {
+                    if (isActiveForm && typeof form.yiiActiveForm("find", fieldId) !== "undefined") {
+                        attributes[fieldId] = messages;
+                    } else {
+                        fields[fieldId] = messages;
                     }
                 });
-            });
-        }
-    },
-    tabular: {
-        addRow: element => {
-            let currentContainer = $(element).siblings(".fields_container");
-            let currentIndex = currentContainer.find(".tabular-row").length;
-            let limitOver = currentIndex === currentContainer.data('rows-limit');
 
-            //if row limit exceeded
-            if (limitOver) {
-                $.formwizard.helper.showMessage("Cannot add any more.");
-                return;
+                $.formwizard.validation.showErrors(formId, step, fields);
+                $.each(attributes, (fieldId, messages) => form.yiiActiveForm("updateAttribute", fieldId, messages));
             }
+        },
 
-            let documentFragment = document.createDocumentFragment();
-            let row = $(currentContainer)[0].firstChild;
-            let formId = $(element)
-                .closest("form")
-                .attr("id");
-            let currentStep = $.formwizard.helper.currentIndex("#" + formId);
-            let tabular = $.formwizard.tabular;
+        /**
+         * Returns the errors blocking the step that could not be validated, with
+         * the message rejected as a string or the `ajaxValidationError` option
+         */
+        failure: (formId, error) => {
+            let options = $.formwizard.options[formId];
+            let message = typeof error === "string" ? error : options.ajaxValidationError || "The step could not be validated, please try again.";
 
-            //get all inputs 
-            let oldFieldCollection = $(row).find('input,select,textarea');
-            let eventTrigger = $.formwizard.triggerEvent;
+            if (!options.enableErrorSummary) {
+                $.formwizard.helper.showMessage(message);
+            }
 
+            return {
+                "": [message]
+            };
+        },
 
-            //trigger beforeClone event for all the inputs inside the tabular row to be cloned
-            oldFieldCollection.each(function (index, element) {
-                if (typeof $(element).attr('id') !== 'undefined') {
-                    //trigger beforeclone event
-                    eventTrigger("formwizard.beforeClone", "#" + formId + " #step-" + currentStep + " #" + element.id);
-                }
+        /**
+         * Validates all the steps one after the other, or at once if the adapter
+         * supports it, resolves with the error messages keyed by the steps
+         */
+        validateSteps: (formId) => {
+            let validation = $.formwizard.validation;
+            let adapter = validation.adapter(formId);
+            let steps = $.formwizard.fields[formId].map((stepFields, step) => step).filter(step => !$.formwizard.conditions.isSkipped(formId, step));
+            let loads = Promise.all(steps.map(step => $.formwizard.lazy.load(formId, step, false)));
+            let validated;
+
+            if (typeof adapter.validateSteps === "function") {
+                validated = loads.then(() => adapter.validateSteps(formId, steps));
+            } else {
+                validated = loads.then(() => steps.reduce((previous, step) => previous.then(stepErrors => adapter.validate(formId, step).then(errors => {
+                    stepErrors[step] = errors;
+                    return stepErrors;
+                })), Promise.resolve({})));
+            }
+
+            //the steps with the content not loaded can not be validated
+            validated = Promise.all([loads, validated]).then(([loaded, stepErrors]) => {
+                loaded.forEach((isLoaded, index) => {
+                    isLoaded || (stepErrors[steps[index]] = $.formwizard.lazy.errors(formId));
+                });
+                return stepErrors;
             });
 
-            //clone node
+            //validate the steps passing the client validation on the server too
+            return validated.then(stepErrors => steps.reduce((previous, step) => previous.then(() => $.isEmptyObject(stepErrors[step]) ? validation.server.validate(formId, step).then(errors => {
+                stepErrors[step] = errors;
+            }) : null), Promise.resolve()).then(() => stepErrors)).then(stepErrors => {
+                $.each(stepErrors, (step, errors) => validation.markStep(formId, parseInt(step, 10), errors));
+                return stepErrors;
+            });
+        },
+
+        /**
+         * Sets or clears the error state of the step anchor and updates the
+         * error summary of the step if enabled
+         */
+        markStep: (formId, step, errors) => {
+            let options = $.formwizard.options[formId];
+            let wizardContainer = $("#" + options.wizardContainerId);
+            let smartWizard = wizardContainer.data("smartWizard");
+            let hasErrors = !$.isEmptyObject(errors);
+
+            wizardContainer.smartWizard("stepState", [step], hasErrors ? "error-on" : "error-off");
+
+            //keep the errorSteps option of the plugin in sync with the anchors
+            smartWizard.options.errorSteps = $.grep(smartWizard.options.errorSteps || [], errorStep => errorStep !== step).concat(hasErrors ? [step] : []);
+
+            if (options.enableErrorSummary) {
+                $.formwizard.validation.errorSummary(formId, step, errors);
+            }
+            $.formwizard.aria.mark(formId, step, errors);
+        },
+        errorSummary: (formId, step, errors) => {
+            let stepContainer = $("#" + $.formwizard.helper.stepId(formId, step));
+            let list = $("<ul></ul>");
+
+            stepContainer.find("> .formwizard-error-summary").remove();
+
+            if ($.isEmptyObject(errors)) {
+                return;
+            }
+
+            $.each(errors, function (fieldId, messages) {
+                //the messages not related to a field are listed without the link
+                if (fieldId === "") {
+                    list.append($("<li></li>").text(messages.join(" ")));
+                    return;
+                }
+
+                list.append(
+                    $("<li></li>").append(
+                        $('<a class="alert-link"></a>').attr("href", "#" + fieldId).data("field", fieldId).text($.formwizard.persistence.fieldLabel(formId, fieldId)),
+                        document.createTextNode(": " + messages.join(" "))
+                    )
+                );
+            });
+
+            let summary = $('<div class="formwizard-error-summary alert alert-danger" role="alert"></div>').append(
+                $("<p></p>").text($.formwizard.options[formId].errorSummaryHeader || "Please fix the following errors:"),
+                list
+            );
+
+            //focus the field instead of navigating to the hash
+            summary.on("click", "a", function (e) {
+                e.preventDefault();
+
+                let field = $("#" + formId + " #" + $(this).data("field"));
+
+                (field.is(":input") ? field : field.find(":input").first()).trigger("focus");
+            });
+
+            stepContainer.prepend(summary);
+        },
+        submit: (formId) => {
+            $.formwizard.instance(formId).submit = true;
+            $.formwizard.validation.adapter(formId).submit(formId);
+        },
+        findField: (formId, fieldId) => $.formwizard.validation.adapter(formId).find(formId, fieldId),
+
+        /**
+         * Shows the messages for the fields of the step that are not validated
+         * with the ActiveForm, using the same markup as the ActiveForm
+         */
+        showErrors: (formId, step, errors) => {
+            $.formwizard.fields[formId][step].forEach(function (fieldId) {
+                let messages = errors[fieldId] || [];
+                let container = $("#" + formId + " .field-" + fieldId);
+
+                container.toggleClass("has-error", messages.length > 0);
+                $("#" + formId + " #" + fieldId).toggleClass("is-invalid", messages.length > 0).attr("aria-invalid", messages.length > 0 ? "true" : null);
+                container.find(".help-block").text(messages.join(" "));
+            });
+        },
+        adapters: {
+            yii: {
+                validate: (formId, step) => $.formwizard.validation.adapters.yii.validateSteps(formId, [step]).then(stepErrors => stepErrors[step]),
+
+                //the ActiveForm validates all the attributes at once
+                validateSteps: (formId, steps) => new Promise(resolve => {
+                    let form = $("#" + formId);
+                    let namespace = $.formwizard.namespace(formId);
+                    let instance = $.formwizard.instance(formId);
+                    let settled = false;
+                    let release = () => {
+                        settled = true;
+                        instance.pendingValidation = null;
+                        form.off("afterValidate" + namespace, afterValidate).off("ajaxComplete" + namespace, ajaxComplete);
+                    };
+
+                    //block the first step when the validation stops without the result
+                    let blocked = () => {
+                        let stepErrors = {};
+
+                        release();
+                        steps.forEach(step => stepErrors[step] = {});
+                        stepErrors[steps[0]] = $.formwizard.validation.failure(formId);
+                        resolve(stepErrors);
+                    };
+                    let afterValidate = function (event, messages) {
+                        let stepErrors = {};
+
+                        release();
+                        steps.forEach(function (step) {
+                            stepErrors[step] = {};
+                            $.formwizard.fields[formId][step].diff(messages).forEach(fieldId => {
+                                stepErrors[step][fieldId] = messages[fieldId];
+                            });
+                        });
+                        resolve(stepErrors);
+                    };
+
+                    //the ActiveForm does not trigger afterValidate when the ajax validation fails
+                    let ajaxComplete = function (event, jqXHR, textStatus) {
+                        textStatus !== "success" && blocked();
+                    };
+
+                    //drop the handlers of the validation that never finished
+                    instance.pendingValidation && instance.pendingValidation();
+                    instance.pendingValidation = release;
+
+                    form.on("afterValidate" + namespace, afterValidate).on("ajaxComplete" + namespace, ajaxComplete);
+                    form.yiiActiveForm("validate", true);
+
+                    //a beforeValidate handler returning false stops the validation
+                    //without the afterValidate event
+                    if (!settled && !form.data("yiiActiveForm").submitting) {
+                        blocked();
+                    }
+                }),
+                reset: (formId) => {
+                    $("#" + formId).yiiActiveForm("resetForm");
+                },
+                submit: (formId) => {
+                    $("#" + formId).yiiActiveForm("submitForm");
+                },
+                find: (formId, fieldId) => $("#" + formId).yiiActiveForm("find", fieldId),
+                add: (formId, fieldOptions) => {
+                    $("#" + formId).yiiActiveForm("add", fieldOptions);
+                },
+                remove: (formId, fieldId) => {
+                    $("#" + formId).yiiActiveForm("remove", fieldId);
+                }
+            },
+            html5: {
+                validate: (formId, step) => {
+                    let errors = {};
+                    let invalid = [];
+
+                    $.formwizard.fields[formId][step].forEach(function (fieldId) {
+                        let field = $("#" + formId + " #" + fieldId);
+
+                        //the radio and checkbox lists are validated by the items
+                        (field.is(":input") ? field : field.find(":input")).each(function () {
+                            if (typeof this.checkValidity === "function" && !this.checkValidity()) {
+                                errors[fieldId] = [this.validationMessage];
+                                invalid.push(this);
+                                return false;
+                            }
+                        });
+                    });
+
+                    //let the browser show the message for the first invalid field
+                    if (invalid.length && typeof invalid[0].reportValidity === "function") {
+                        invalid[0].reportValidity();
+                    }
+                    return Promise.resolve(errors);
+                },
+                reset: () => {},
+                submit: (formId) => {
+                    let form = $("#" + formId);
+
+                    //submit through the ActiveForm if rendered with it, to keep its events
+                    if (typeof $.fn.yiiActiveForm === "function" && form.data("yiiActiveForm")) {
+                        form.yiiActiveForm("submitForm");
+                        return;
+                    }
+
+                    $.formwizard.persistence.clearStorage(formId);
+                    form.trigger("submit");
+                },
+                find: () => undefined,
+                add: () => {},
+                remove: () => {}
+            },
+            callback: {
+                validate: (formId, step) => {
+                    let callback = $.formwizard.validation.settings(formId).callback;
+
+                    //the callback returns the messages keyed by the field ids or a Promise,
+                    //the step is blocked if it throws or rejects
+                    return new Promise(resolve => {
+                        if (typeof callback !== "function") {
+                            throw new Error("The validation callback is not provided.");
+                        }
+                        resolve(callback(step, formId, $.formwizard.fields[formId][step].slice()));
+                    }).then(messages => {
+                        let errors = {};
+
+                        $.each(messages || {}, function (fieldId, fieldMessages) {
+                            fieldMessages = [].concat(fieldMessages);
+                            fieldMessages.length && (errors[fieldId] = fieldMessages);
+                        });
+                        $.formwizard.validation.showErrors(formId, step, errors);
+                        return errors;
+                    }, error => $.formwizard.validation.failure(formId, error));
+                },
+                reset: (formId) => {
+                    $.formwizard.fields[formId].forEach((stepFields, step) => $.formwizard.validation.showErrors(formId, step, {}));
+                },
+                submit: (formId) => $.formwizard.validation.adapters.html5.submit(formId),
+                find: () => undefined,
+                add: () => {},
+                remove: () => {}
+            }
+        },
+        /**
+         * Runs the `beforeNext` callback of the step, the Next button stays
+         * busy while the returned Promise settles. Returning `false` or a
+         * message blocks the navigation.
+         */
+        beforeNext: function (form, step) {
+            let formId = $(form).attr("id");
+            let beforeNext = $.formwizard.helper.stepOption(formId, step, "beforeNext");
+
+            if (typeof beforeNext !== "function") {
+                return Promise.resolve(true);
+            }
+
+            $.formwizard.helper.busy(form, true);
+
+            return new Promise(resolve => resolve(beforeNext(step, formId))).catch(
+                error => typeof error === "string" ? error : (error && error.message) || false
+            ).then(result => {
+                $.formwizard.helper.busy(form, false);
+
+                if (result === false || typeof result === "string") {
+                    typeof result === "string" && $.formwizard.helper.showMessage(result);
+                    $.formwizard.helper.shake(form);
+                    return false;
+                }
+                return true;
+            });
+        },
+        isValid: function (messages) {
+            for (var i in messages) {
+                if (messages[i].length > 0) {
+                    return true;
+                }
+            }
+            return false;
+        },
+        updateErrorMessages: function (form, messages) {
+            for (var i in messages) {
+                if (messages[i].length) {
+                    let attribute = i.replace(/\-([0-9]+)/g, "");
+                    $(form).yiiActiveForm("updateAttribute", attribute, messages[i]);
+                }
+            }
+        },
+        addField: (form, fieldOptions) => {
+            $.formwizard.validation.adapter(form).add(form, fieldOptions);
+        },
+        removeField: (element) => {
+            let formId = $(element)
+                .closest("form")
+                .attr("id");
+            $.formwizard.validation.adapter(formId).remove(formId, element.id);
+        }
+    },
+    formNavigation: {
+        next: (target) => {
+
+            let containerId = $(target)
+                .parent()
+                .closest(".sw-main")
+                .attr("id");
+            $.formwizard.formNavigation.sibling("#" + containerId, 1);
+        },
+        goToStep: (wizardContainerId, stepno) => {
+            $(wizardContainerId).smartWizard("goToStep", stepno);
+        },
+        previous: (target) => {
+            let containerId = $(target)
+                .parent()
+                .closest(".sw-main")
+                .attr("id");
+            $.formwizard.formNavigation.sibling("#" + containerId, -1);
+        },
+
+        /**
+         * Lets the user jump to a step by clicking its anchor, moving back is
+         * always allowed while moving forward validates every step in between
+         * and stops at the first step that fails
+         */
+        bindAnchors: (form) => {
+            let formId = $(form).attr("id");
+            let anchors = $("#" + $.formwizard.options[formId].wizardContainerId + " > ul.step-anchor > li");
+
+            anchors.addClass("clickable").children("a").on("click" + $.formwizard.namespace(formId), function (e) {
+                e.preventDefault();
+                $.formwizard.formNavigation.jump(form, $(this).parent().index());
+            });
+        },
+        jump: (form, step) => {
+            let formId = $(form).attr("id");
+            let wizardContainerId = "#" + $.formwizard.options[formId].wizardContainerId;
+            let currentIndex = $.formwizard.helper.currentIndex(form);
+            let validation = $.formwizard.validation;
+
+            if (step < currentIndex) {
+                $.formwizard.formNavigation.goToStep(wizardContainerId, step);
+                return Promise.resolve(true);
+            }
+
+            let anchors = $(wizardContainerId + " > ul.step-anchor > li");
+
+            if (step === currentIndex || step >= anchors.length || anchors.eq(step).is(".hidden,.disabled")) {
+                return Promise.resolve(false);
+            }
+
+            //the steps to pass through, skipping the hidden steps
+            let steps = [];
+
+            for (let index = currentIndex; index !== -1 && index < step; index = $.formwizard.helper.siblingStep(wizardContainerId, index, 1)) {
+                steps.push(index);
+            }
+
+            return steps.reduce((previous, index) => previous.then(passed => {
+                //check the rules of the steps passed through as if entered
+                if (!passed || (index !== currentIndex && !validation.rules.check(formId, index))) {
+                    return false;
+                }
+
+                return validation.leaveStep(form, index).then(passed => {
+                    //stop at the step that failed
+                    passed || $.formwizard.formNavigation.goToStep(wizardContainerId, index);
+                    return passed;
+                });
+            }), Promise.resolve(true)).then(passed => {
+                passed && $.formwizard.formNavigation.goToStep(wizardContainerId, step);
+                return passed;
+            });
+        },
+        jumpSibling: (form, direction) => {
+            let wizardContainerId = "#" + $.formwizard.options[$(form).attr("id")].wizardContainerId;
+            let step = $.formwizard.helper.siblingStep(wizardContainerId, $.formwizard.helper.currentIndex(form), direction);
+
+            return step === -1 ? Promise.resolve(false) : $.formwizard.formNavigation.jump(form, step);
+        },
+        sibling: (wizardContainerId, direction) => {
+            let step = $.formwizard.helper.siblingStep(wizardContainerId, $.formwizard.helper.currentIndex(wizardContainerId), direction);
+
+            //skip over the hidden steps
+            if (step !== -1) {
+                $.formwizard.formNavigation.goToStep(wizardContainerId, step);
+            }
+        }
+    },
+
+    /**
+     * Shows the steps only while their conditions pass, the skipped steps are
+     * hidden and their inputs disabled so that they are neither validated,
+     * saved nor submitted
+     */
+    conditions: {
+        skipped: {},
+        bind: (formId) => {
+            let evaluate = () => $.formwizard.conditions.evaluate(formId);
+
+            $("#" + formId)
+                .on("change" + $.formwizard.namespace(formId), ":input", evaluate)
+                .on("formwizard." + formId + ".afterRestore" + $.formwizard.namespace(formId), evaluate);
+            evaluate();
+        },
+        isSkipped: (formId, step) => $.formwizard.conditions.skipped.hasOwnProperty(formId) && $.formwizard.conditions.skipped[formId].indexOf(step) !== -1,
+
+        /**
+         * Checks the condition of the step, a list of conditions must all
+         * pass, the conditions take the same options as the rules
+         */
+        passes: (formId, condition, values) => [].concat(condition).every(
+            rule => $.formwizard.validation.rules.passes(formId, rule, values)
+        ),
+        evaluate: (formId) => {
+            let conditions = $.formwizard.conditions;
+            let options = $.formwizard.options[formId];
+            let steps = options.steps || {};
+            let previous = conditions.skipped[formId] || [];
+            let skipped = previous;
+
+            //the values of the skipped steps are left out, so repeat until the
+            //conditions depending on the fields of the conditional steps settle
+            for (let pass = 0; pass <= Object.keys(steps).length; pass++) {
+                let values = $.formwizard.helper.fieldValues(formId);
+                let current = conditions.skipped[formId] || [];
+
+                skipped = Object.keys(steps).map(step => parseInt(step, 10)).filter(
+                    step => steps[step].condition && !conditions.passes(formId, steps[step].condition, values)
+                );
+                conditions.skipped[formId] = skipped;
+
+                if (skipped.join() === current.join()) {
+                    break;
+                }
+            }
+
+            let changed = $.formwizard.fields[formId].map((stepFields, step) => step).filter(
+                step => (skipped.indexOf(step) !== -1) !== (previous.indexOf(step) !== -1)
+            );
+
+            if (!changed.length) {
+                return;
+            }
+
+            changed.forEach(step => conditions.toggle(formId, step, skipped.indexOf(step) !== -1));
+
+            //keep the hiddenSteps option of the plugin in sync with the anchors
+            let wizardContainerId = "#" + options.wizardContainerId;
+            let smartWizard = $(wizardContainerId).data("smartWizard");
+
+            smartWizard.options.hiddenSteps = $.grep(smartWizard.options.hiddenSteps || [], step => previous.indexOf(step) === -1).concat(skipped);
+
+            //the first and final steps may have changed
+            $.formwizard.helper.toggleButtons(wizardContainerId, $.formwizard.helper.stepPosition(wizardContainerId, $.formwizard.helper.currentIndex(wizardContainerId)));
+            $.formwizard.triggerEvent("formwizard." + formId + ".stepsChange", "#" + formId, {
+                skipped: skipped
+            });
+        },
+        toggle: (formId, step, isSkipped) => {
+            let options = $.formwizard.options[formId];
+
+            $("#" + options.wizardContainerId).smartWizard("stepState", [step], isSkipped ? "hide" : "show");
+
+            //only enable back the inputs disabled here
+            $("#" + $.formwizard.helper.stepId(formId, step) + " :input").each(function () {
+                if (isSkipped && !this.disabled) {
+                    $(this).prop("disabled", true).attr("data-formwizard-skipped", "true");
+                } else if (!isSkipped && $(this).is("[data-formwizard-skipped]")) {
+                    $(this).prop("disabled", false).removeAttr("data-formwizard-skipped");
+                }
+            });
+
+            isSkipped && $.formwizard.validation.markStep(formId, step, {});
+        }
+    },
+
+    /**
+     * Loads the content of the steps with the `contentUrl` option when they
+     * are shown, the fields of the content are registered with the step like
+     * the fields rendered with the page
+     */
+    lazy: {
+        init: (formId) => {
+            let lazy = $.formwizard.lazy;
+            let smartWizard = $("#" + $.formwizard.options[formId].wizardContainerId).data("smartWizard");
+            let loadStepContent = smartWizard._loadStepContent;
+
+            //the plugin shows the step once its content is loaded
+            smartWizard._loadStepContent = function (step) {
+                if (!lazy.pending(formId, step)) {
+                    return loadStepContent.call(smartWizard, step);
+                }
+
+                lazy.load(formId, step).then(() => loadStepContent.call(smartWizard, step));
+                return true;
+            };
+
+            $("#" + formId).on("click" + $.formwizard.namespace(formId), ".formwizard-retry", function () {
+                lazy.load(formId, $(this).closest(".step-content").data("step").number);
+            });
+
+            //the step shown with the page
+            let step = $.formwizard.helper.currentIndex("#" + formId);
+
+            lazy.pending(formId, step) && lazy.load(formId, step);
+        },
+
+        /**
+         * Checks if the content of the step is to be loaded, the steps not
+         * cached are loaded every time they are shown
+         */
+        pending: (formId, step, reload = true) => {
+            let helper = $.formwizard.helper;
+
+            if (!helper.stepOption(formId, step, "contentUrl")) {
+                return false;
+            }
+            return !$("#" + $.formwizard.helper.stepId(formId, step)).is("[data-formwizard-loaded]") || (reload && helper.stepOption(formId, step, "contentCache") === false);
+        },
+        container: (formId, step) => $("#" + $.formwizard.helper.stepId(formId, step)).children("div").not(".formwizard-step-heading, .formwizard-error-summary").last(),
+        errors: (formId) => ({
+            "": [$.formwizard.options[formId].contentLoadError || "The step could not be loaded."]
+        }),
+
+        /**
+         * Loads the content of the step showing the loader of the plugin,
+         * resolves with `false` if the content could not be loaded
+         */
+        load: (formId, step, reload = true) => {
+            let lazy = $.formwizard.lazy;
+            let helper = $.formwizard.helper;
+            let panel = $("#" + $.formwizard.helper.stepId(formId, step));
+
+            if (!lazy.pending(formId, step, reload)) {
+                return Promise.resolve(true);
+            }
+
+            //the step is loaded once at a time
+            if (panel.data("formwizardLoading")) {
+                return panel.data("formwizardLoading");
+            }
+
+            let options = $.formwizard.options[formId];
+            let smartWizard = $("#" + options.wizardContainerId).data("smartWizard");
+            let isLoaded = panel.is("[data-formwizard-loaded]");
+
+            //keep the values when loading the step again, or else restore the saved values
+            let stepData = isLoaded ? $.formwizard.persistence.collect(formId)["step-" + step] : $.formwizard.instance(formId).storageFields["step-" + step];
+
+            smartWizard._loader("show");
+            helper.busy("#" + formId, true);
+
+            let request = Promise.resolve($.ajax({
+                url: helper.stepOption(formId, step, "contentUrl"),
+                type: "POST",
+                data: helper.postData(lazy.inputs(formId, step), step),
+                dataType: "html"
+            })).then(html => {
+                lazy.register(formId, step, html, stepData);
+                return true;
+            }, () => {
+                //leave the content loaded before in place
+                if (isLoaded) {
+                    helper.showMessage(lazy.errors(formId)[""][0]);
+                    return true;
+                }
+
+                lazy.container(formId, step).empty().append(
+                    $('<div class="formwizard-load-error alert alert-danger" role="alert"></div>').text(lazy.errors(formId)[""][0]).append(
+                        " ",
+                        $('<button type="button" class="btn btn-primary formwizard-retry"></button>').text(options.labelRetry || "Retry")
+                    )
+                );
+                return false;
+            }).then(loaded => {
+                smartWizard._loader("hide");
+                helper.busy("#" + formId, false);
+                panel.removeData("formwizardLoading");
+                return loaded;
+            });
+
+            panel.data("formwizardLoading", request);
+            return request;
+        },
+
+        /**
+         * Returns the inputs posted to load the step, the fields registered for
+         * the steps before it as the content may depend on them
+         */
+        inputs: (formId, step) => $($.formwizard.fields[formId].slice(0, step).reduce(
+            (inputs, stepFields, index) => inputs.concat($.formwizard.validation.server.inputs(formId, index).get()), []
+        )),
+
+        /**
+         * Puts the content in the step and registers its fields. The fields
+         * are the ActiveForm attributes added by the scripts of the content,
+         * or else the inputs with an id.
+         */
+        register: (formId, step, html, stepData) => {
+            let form = $("#" + formId);
+            let adapter = $.formwizard.validation.adapter(formId);
+            let attributeIds = () => typeof $.fn.yiiActiveForm === "function" && form.data("yiiActiveForm") ? form.yiiActiveForm("data").attributes.map(attribute => attribute.id) : [];
+
+            //the fields of the content loaded before are added again by the new content
+            $.formwizard.fields[formId][step].forEach(fieldId => adapter.remove(formId, fieldId));
+
+            let attributes = attributeIds();
+            let container = $.formwizard.lazy.container(formId, step).html(html);
+            let added = attributeIds().filter(id => attributes.indexOf(id) === -1);
+
+            $.formwizard.fields[formId][step] = added.length ? added : $.formwizard.helper.fieldIds(container);
+            $("#" + $.formwizard.helper.stepId(formId, step)).attr("data-formwizard-loaded", "true");
+
+            stepData && $.formwizard.persistence.restoreFields(formId, {
+                ["step-" + step]: stepData
+            });
+            $.formwizard.init("#" + $.formwizard.options[formId].wizardContainerId);
+
+            //the new fields may change the conditions, and the skipped steps keep the inputs disabled
+            $.formwizard.conditions.isSkipped(formId, step) && $.formwizard.conditions.toggle(formId, step, true);
+            $.formwizard.conditions.evaluate(formId);
+
+            $.formwizard.triggerEvent("formwizard." + formId + ".stepLoad", "#" + formId, {
+                step: step
+            });
+        }
+    },
+    observer: {
+        start: function (selector) {
+            // select the target node in select2
+            var target = document.querySelector(selector);
+            var instance = $.formwizard.instance($(target).closest("form").attr("id"));
+
+            instance.observer = $.formwizard.observer.observerInstance(selector);
+
+            // configuration of the observer:
+            var config = {
+                childList: true,
+                attributes: true,
+                subtree: false
+            };
+
+            // pass in the target node, as well as the observer options
+            instance.observer.observe(target, config);
+        },
+
+        /**
+         *
+         * @returns {MutationObserver}
+         */
+        observerInstance: function (selector) {
+            // create an observer instance
+            return new MutationObserver(function (mutations, observer) {
+                mutations.forEach(function (mutation) {
+                    if (mutation.type == "childList") {
+
+                        //check if material theme used 
+                        if (typeof $.themematerial !== 'undefined') {
+                            $.themematerial.init();
+                        }
+
+                        //init the button events for thetabular steps
+                        $.formwizard.init(selector);
+                        observer.disconnect();
+                    }
+                });
+            });
+        }
+    },
+    tabular: {
+        addRow: element => {
+            let currentContainer = $(element).siblings(".fields_container");
+            let currentIndex = currentContainer.find(".tabular-row").length;
+            let limitOver = currentIndex === currentContainer.data('rows-limit');
+
+            //if row limit exceeded
+            if (limitOver) {
+                $.formwizard.helper.showMessage("Cannot add any more.");
+                return;
+            }
+
+            let documentFragment = document.createDocumentFragment();
+            let row = $(currentContainer)[0].firstChild;
+            let formId = $(element)
+                .closest("form")
+                .attr("id");
+            let stepData = $(element).closest("div.step-content").data("step");
+
+            //the rows of the other steps can be added while restoring the drafts
+            let currentStep = typeof stepData !== "undefined" ? stepData.number : $.formwizard.helper.currentIndex("#" + formId);
+            let tabular = $.formwizard.tabular;
+
+            //get all inputs 
+            let oldFieldCollection = $(row).find('input,select,textarea');
+            let eventTrigger = $.formwizard.triggerEvent;
+
+
+            //trigger beforeClone event for all the inputs inside the tabular row to be cloned
+            oldFieldCollection.each(function (index, element) {
+                if (typeof $(element).attr('id') !== 'undefined') {
+                    //trigger beforeclone event
+                    eventTrigger("formwizard.beforeClone", "#" + $.formwizard.helper.stepId(formId, currentStep) + " #" + element.id);
+                }
+            });
+
+            //clone node
             documentFragment.appendChild(row.cloneNode(true));
 
-            //trigger afterClone event for all the inputs inside the tabular row
-            oldFieldCollection.each(function (index, element) {
-                if (typeof $(element).attr('id') !== 'undefined') {
-                    //trigger beforeclone event
-                    eventTrigger("formwizard.afterClone", "#" + formId + " #step-" + currentStep + " #" + element.id);
+            //trigger afterClone event for all the inputs inside the tabular row
+            oldFieldCollection.each(function (index, element) {
+                if (typeof $(element).attr('id') !== 'undefined') {
+                    //trigger beforeclone event
+                    eventTrigger("formwizard.afterClone", "#" + $.formwizard.helper.stepId(formId, currentStep) + " #" + element.id);
+                }
+            });
+
+            let rowClone = documentFragment.querySelector("div.tabular-row");
+
+            //update row container id
+            rowClone.id = $.formwizard.helper.rowId(formId, currentIndex);
+
+            let newFields = [];
+            //update input ids
+            documentFragment
+                .querySelectorAll("input,select,textarea")
+                .forEach(function (element, index) {
+
+                    //save old id
+                    let oldFieldId = element.id;
+
+                    //update input attributes
+                    tabular.updateFieldAttributes(element, currentIndex);
+                    if (typeof $(element).attr('id') !== 'undefined') {
+                        //get the default field options ActiveForm
+                        let fieldOptions = tabular.setFieldDefaults(
+                            element,
+                            formId,
+                            oldFieldId
+                        );
+
+                        //add field to the formwizard step fields list
+                        $.formwizard.helper.addField(formId, element, currentStep);
+                        newFields.push(element.id);
+                        if (typeof fieldOptions !== 'undefined') {
+                            //add field to the activeform validation
+                            $.formwizard.validation.addField(formId, fieldOptions);
+                        }
+                    }
+                });
+
+            //update the container ids of the radio and checkbox lists
+            documentFragment
+                .querySelectorAll("div[id]:not(.tabular-row)")
+                .forEach(function (element) {
+                    let oldFieldId = element.id;
+
+                    element.id = element.id.replace(
+                        /\-([\d]+)\-/,
+                        "-" + parseInt(currentIndex) + "-"
+                    );
+
+                    //add the list to the formwizard step fields list
+                    if ($.formwizard.fields[formId][currentStep].indexOf(oldFieldId) !== -1) {
+                        $.formwizard.helper.addField(formId, element, currentStep);
+                    }
+                });
+
+            //add the remove button
+            let removeIcon = document.createElement("i");
+            removeIcon.className = "remove-row formwizard-x-ico";
+            removeIcon.dataset.rowid = currentIndex;
+
+            rowClone.insertBefore(removeIcon, rowClone.firstChild);
+
+            //the rows added are removed when the wizard is reset
+            rowClone.dataset.formwizardAdded = "true";
+            $(currentContainer)[0].appendChild(documentFragment);
+
+            //trigger the afterInsert event 
+            eventTrigger("formwizard.afterInsert", "#" + $.formwizard.helper.rowId(formId, currentIndex), {
+                rowIndex: currentIndex
+            });
+        },
+        removeRow: (rowid, container = document) => {
+            //the row ids are prefixed with the id of the form
+            let rowContainer = $(container).find("div.tabular-row[id$='_row_" + rowid + "']");
+
+            //trigger the beforeRemove event
+            $.formwizard.triggerEvent("formwizard.beforeRemove", rowContainer, {
+                rowIndex: rowid
+            });
+
+            rowContainer.find("textarea,input,select,div[id]").each(function (index, element) {
+
+                //remove from the fromwizard field list
+                $.formwizard.helper.removeField(element);
+
+                //remove from the ActiveForm validation list
+                $.formwizard.validation.removeField(element);
+            });
+
+            //detach so that the history can put the row back
+            rowContainer.detach();
+        },
+
+        /**
+         * Returns the index of the row, also used for the `row_{index}` keys
+         * of the rows in the saved drafts
+         */
+        rowIndex: (row) => parseInt(/_row_(\d+)$/.exec(row.id)[1], 10),
+        setFieldDefaults: (element, formId, oldFieldId) => {
+            // get then name only for the tabular input
+            let nameOnly = element.name.match(/(\[[\d]{0,}\].*)/);
+            let fieldProperty = $.formwizard.validation.findField(formId, oldFieldId);
+            let fieldOptions;
+
+            if (typeof fieldProperty !== 'undefined') {
+                //set the default options for the ActiveForm field
+                fieldOptions = {
+                    id: element.id,
+                    name: nameOnly[0],
+                    container: ".field-" + element.id,
+                    input: "#" + element.id,
+                    error: ".help-block.help-block-error",
+                    value: element.value,
+                    status: 0,
+                    validate: fieldProperty.hasOwnProperty('validate') ? fieldProperty.validate : function (attribute, value, messages, deferred, $form) {}
+                };
+            }
+
+            return fieldOptions;
+
+        },
+        updateFieldAttributes: (element, currentIndex) => {
+            let hasContainer = $(element)
+                .parent()
+                .hasClass("field-" + element.id);
+
+            if (typeof $(element).attr('id') !== 'undefined') {
+                //update counter of the id
+                element.id = element.id.replace(
+                    /\-([\d]+)\-/,
+                    "-" + parseInt(currentIndex) + "-"
+                );
+            }
+
+
+            //update the counter of the name
+            element.name = element.name.replace(
+                /\[([\d]+)\]/,
+                "[" + parseInt(currentIndex) + "]"
+            );
+
+            //reset value, the radio and checkbox keep the value of the option
+            if (element.type == "radio" || element.type == "checkbox") {
+                element.checked = false;
+            } else {
+                element.value = "";
+            }
+
+            //if the field container is available
+            if (hasContainer) {
+                let container = $(element).parent();
+                $(container).removeClassesExceptThese(["form-group", "required"]);
+                $(container).addClass("field-" + element.id);
+                $(container)
+                    .find("label")
+                    .attr("for", element.id);
+                $(container)
+                    .find(".help-block")
+                    .html("");
+            }
+        }
+    },
+    init: (selector) => {
+        let namespace = $.formwizard.namespace($(selector).closest("form").attr("id"));
+
+        //the handlers are bound once even if the init runs again
+        $(selector).off("click" + namespace, ".remove-row").on("click" + namespace, ".remove-row", function (e) {
+            $.formwizard.tabular.removeRow($(this).data("rowid"), $(this).closest(".fields_container"));
+        });
+
+        $(selector + " .add_row").off("click" + namespace).on("click" + namespace, function (e) {
+            $.formwizard.tabular.addRow($(this));
+        });
+    },
+    persistence: {
+        assign: (obj, keyPath, value) => {
+            lastKeyIndex = keyPath.length - 1;
+            for (var i = 0; i < lastKeyIndex; ++i) {
+                key = keyPath[i];
+                if (!(key in obj)) {
+                    obj[key] = {};
+                }
+                obj = obj[key];
+            }
+            obj[keyPath[lastKeyIndex]] = value;
+        },
+        storagePrefix: "formwizard.",
+        defaults: {
+            storage: "local",
+            storageOptions: {},
+            ttl: 0,
+            version: null,
+            migrate: null,
+            restorePreview: false,
+            messages: {
+                restoreTitle: "A saved draft of this form was found",
+                restoreChanged: "The saved value differs from the current value",
+                restoreAll: "Restore all",
+                restoreSelected: "Restore selected steps",
+                restoreDiscard: "Discard",
+                draftsTitle: "Saved drafts",
+                draftsName: "Draft name",
+                draftsSave: "Save draft",
+                draftsEmpty: "No drafts saved yet.",
+                draftsStale: "Outdated, cannot be loaded",
+                draftsLoad: "Load",
+                draftsRename: "Rename",
+                draftsRenamePrompt: "Enter the new name of the draft",
+                draftsDelete: "Delete",
+                draftsDeleteConfirm: "Are you sure you want to delete the draft?",
+                crossTabWarning: "This form is also open in another tab, the changes made in one tab can overwrite the other.",
+                crossTabSync: "This form is also open in another tab, the changes are synced between the tabs.",
+                crossTabLocked: "This form is open in another tab, close it there or continue editing here.",
+                crossTabTakeOver: "Continue here"
+            },
+            crossTab: "warn"
+        },
+
+        /**
+         * Storage adapter factories, every adapter exposes get/set/remove/list
+         * and each method returns a Promise
+         */
+        adapters: {
+            local: () => $.formwizard.persistence.webStorage(window.localStorage),
+            session: () => $.formwizard.persistence.webStorage(window.sessionStorage),
+            memory: () => {
+                let items = {};
+
+                return {
+                    get: key => Promise.resolve(items.hasOwnProperty(key) ? items[key] : null),
+                    set: (key, value) => {
+                        items[key] = value;
+                        return Promise.resolve();
+                    },
+                    remove: key => {
+                        delete items[key];
+                        return Promise.resolve();
+                    },
+                    list: prefix => Promise.resolve(Object.keys(items).filter(key => key.indexOf(prefix) === 0))
+                };
+            },
+            indexeddb: ({
+                dbName = "formwizard",
+                storeName = "drafts"
+            }) => {
+                let database = null;
+                let open = version => new Promise((resolve, reject) => {
+                    let request = typeof version === "undefined" ? window.indexedDB.open(dbName) : window.indexedDB.open(dbName, version);
+
+                    request.onupgradeneeded = () => request.result.objectStoreNames.contains(storeName) || request.result.createObjectStore(storeName);
+                    request.onsuccess = () => {
+                        let db = request.result;
+
+                        //let the other forms upgrade the database, the connection is opened again when needed
+                        db.onversionchange = () => {
+                            db.close();
+                            database = null;
+                        };
+                        resolve(db);
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+
+                //the forms sharing the database add their stores with a new version
+                let connect = () => {
+                    database = database || open().then(db => {
+                        if (db.objectStoreNames.contains(storeName)) {
+                            return db;
+                        }
+
+                        db.close();
+                        return open(db.version + 1);
+                    });
+                    return database;
+                };
+
+                //run a single request against the object store
+                let transaction = (mode, callback) => connect().then(db => new Promise((resolve, reject) => {
+                    let request = callback(db.transaction(storeName, mode).objectStore(storeName));
+
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                }));
+
+                return {
+                    get: key => transaction("readonly", store => store.get(key)).then(value => typeof value === "undefined" ? null : value),
+                    set: (key, value) => transaction("readwrite", store => store.put(value, key)),
+                    remove: key => transaction("readwrite", store => store.delete(key)),
+                    list: prefix => transaction("readonly", store => store.getAllKeys()).then(keys => keys.filter(key => String(key).indexOf(prefix) === 0))
+                };
+            },
+            remote: ({
+                url,
+                data = {}
+            }) => {
+                if (!url) {
+                    throw new Error("The remote persistence storage needs the url option.");
+                }
+
+                //post the action to the url along with the csrf token
+                let request = (action, params) => {
+                    let payload = $.extend({
+                        action: action
+                    }, data, params);
+
+                    if (typeof yii !== "undefined" && yii.getCsrfParam()) {
+                        payload[yii.getCsrfParam()] = yii.getCsrfToken();
+                    }
+
+                    return Promise.resolve($.ajax({
+                        url: url,
+                        type: "POST",
+                        data: payload,
+                        dataType: "json"
+                    }));
+                };
+
+                return {
+                    get: key => request("get", {
+                        key: key
+                    }).then(response => response && typeof response.value === "string" ? response.value : null),
+                    set: (key, value) => request("set", {
+                        key: key,
+                        value: value
+                    }),
+                    remove: key => request("remove", {
+                        key: key
+                    }),
+                    list: prefix => request("list", {
+                        prefix: prefix
+                    }).then(response => response && $.isArray(response.keys) ? response.keys : [])
+                };
+            }
+        },
+        storages: {},
+        webStorage: storage => ({
+            get: key => Promise.resolve(storage.getItem(key)),
+            set: (key, value) => Promise.resolve(storage.setItem(key, value)),
+            remove: key => Promise.resolve(storage.removeItem(key)),
+            list: prefix => Promise.resolve(Object.keys(storage).filter(key => key.indexOf(prefix) === 0))
+        }),
+        registerAdapter: (name, factory) => {
+            $.formwizard.persistence.adapters[name] = factory;
+        },
+        settings: (formId) => {
+            let formOptions = $.formwizard.options[formId] || {};
+            return $.extend(true, {}, $.formwizard.persistence.defaults, formOptions.persistence);
+        },
+        storage: (formId) => {
+            let persistence = $.formwizard.persistence;
+
+            if (!persistence.storages.hasOwnProperty(formId)) {
+                let {
+                    storage,
+                    storageOptions
+                } = persistence.settings(formId);
+
+                //an adapter object can be passed directly from javascript
+                if (typeof storage === "object") {
+                    persistence.storages[formId] = storage;
+                } else if (persistence.adapters.hasOwnProperty(storage)) {
+                    persistence.storages[formId] = persistence.adapters[storage](storageOptions);
+                } else {
+                    throw new Error('Unknown persistence storage "' + storage + '".');
+                }
+            }
+            return persistence.storages[formId];
+        },
+        /**
+         * Handlers used to save and restore the fields, keyed by the input type
+         * or the `data-persistence-type` attribute of the field. `serialize`
+         * returns the values to be saved keyed by the field ids and `restore`
+         * applies a saved value back to the field.
+         */
+        fieldTypes: {},
+        registerFieldType: (types, handler) => {
+            [].concat(types).forEach(type => {
+                $.formwizard.persistence.fieldTypes[type] = handler;
+            });
+        },
+        fieldHandler: (field) => {
+            let fieldTypes = $.formwizard.persistence.fieldTypes;
+            let fieldType = $(field).data("persistence-type") || field.type;
+
+            //the container of the radio and checkbox lists
+            if (typeof fieldType === "undefined") {
+                let listItem = $(field).find("input:radio,input:checkbox").first();
+                fieldType = listItem.length ? listItem.attr("type") + "list" : fieldType;
+            }
+
+            return fieldTypes.hasOwnProperty(fieldType) ? fieldTypes[fieldType] : null;
+        },
+
+        /**
+         * Returns the element registered with the step fields for the input,
+         * that is the list container for the items of radio and checkbox lists
+         */
+        fieldElement: (fieldObject, formId) => {
+            let fieldIds = [].concat.apply([], $.formwizard.fields[formId]);
+
+            if (fieldIds.indexOf(fieldObject.id) !== -1) {
+                return fieldObject;
+            }
+
+            let container = $(fieldObject).parents().filter(function () {
+                return this.id && fieldIds.indexOf(this.id) !== -1;
+            }).first();
+
+            return container.length ? container.get(0) : fieldObject;
+        },
+
+        /**
+         * Returns the key of the tabular row of the field in the saved drafts,
+         * the `row_{index}` without the form id of the row id
+         */
+        rowKey: (fieldObject) => {
+            let row = $(fieldObject).closest("div.tabular-row");
+
+            return row.length ? "row_" + $.formwizard.tabular.rowIndex(row.get(0)) : undefined;
+        },
+        fieldsOf: (storageFields, stepData, fieldObject) => {
+            let stepKey = "step-" + stepData.number;
+
+            if (!storageFields.hasOwnProperty(stepKey)) {
+                //set the step type
+                storageFields[stepKey] = {
+                    stepType: stepData.type,
+                    fields: {}
+                };
+            }
+
+            let fields = storageFields[stepKey].fields;
+
+            //the tabular steps keep the fields grouped by the row
+            if (storageFields[stepKey].stepType == "tabular") {
+                let rowId = $.formwizard.persistence.rowKey(fieldObject);
+
+                if (!fields.hasOwnProperty(rowId)) {
+                    fields[rowId] = {};
+                }
+                fields = fields[rowId];
+            }
+            return fields;
+        },
+
+        /**
+         * Collects the current values of all the step fields in the same
+         * structure as the storage fields
+         */
+        collect: (formId) => {
+            let persistence = $.formwizard.persistence;
+            let storageFields = {};
+
+            $.formwizard.fields[formId].forEach(function (stepFields, step) {
+                //the steps skipped by their conditions are not saved
+                if ($.formwizard.conditions.isSkipped(formId, step)) {
+                    return;
+                }
+
+                let stepData = $("#" + $.formwizard.helper.stepId(formId, step)).data("step") || {
+                    number: step,
+                    type: "default"
+                };
+
+                stepFields.forEach(function (fieldId) {
+                    let field = document.querySelector("#" + formId + " #" + fieldId);
+                    let handler = field !== null && persistence.fieldHandler(field);
+
+                    if (handler) {
+                        $.extend(persistence.fieldsOf(storageFields, stepData, field), handler.serialize(field, formId));
+                    }
+                });
+            });
+            return storageFields;
+        },
+        savefield: (fieldObject, formId, stepData) => {
+            let persistence = $.formwizard.persistence;
+
+            fieldObject = persistence.fieldElement(fieldObject, formId);
+
+            let handler = persistence.fieldHandler(fieldObject);
+            let stepKey = "step-" + stepData.number;
+
+            //skip the inputs without id or a handler for the type
+            if (!fieldObject.id || handler === null) {
+                return Promise.resolve();
+            }
+
+            let storageFields = $.formwizard.instance(formId).storageFields;
+            let fields = persistence.fieldsOf(storageFields, stepData, fieldObject);
+
+            //add fields to the local fieldstorage property
+            let values = handler.serialize(fieldObject, formId);
+            $.extend(fields, values);
+
+            //send the values to the form open in the other tabs
+            if (persistence.settings(formId).crossTab == "sync" && !$.formwizard.instance(formId).syncing) {
+                persistence.crossTab.post(formId, {
+                    type: "field",
+                    stepKey: stepKey,
+                    stepType: storageFields[stepKey].stepType,
+                    rowId: fields === storageFields[stepKey].fields ? null : persistence.rowKey(fieldObject),
+                    values: values
+                });
+            }
+
+            //save the complete fields json to the storage
+            return persistence.write(formId);
+        },
+        versions: {},
+
+        /**
+         * Returns the version stamped on the drafts of the form, if not provided
+         * with the options it is computed from the field ids of the steps so that
+         * renaming or removing the fields invalidates the older drafts.
+         */
+        version: (formId) => {
+            let persistence = $.formwizard.persistence;
+
+            if (!persistence.versions.hasOwnProperty(formId)) {
+                let version = persistence.settings(formId).version;
+
+                if (version === null) {
+                    //ignore the row number of the tabular fields, and the fields of the
+                    //steps with the content url that are known once the step is loaded
+                    let signature = $.formwizard.fields[formId].map((stepFields, step) => $.formwizard.helper.stepOption(formId, step, "contentUrl") ? "" : stepFields
+                        .map(fieldId => fieldId.replace(/\-([\d]+)\-/, "-n-"))
+                        .filter((fieldId, index, list) => list.indexOf(fieldId) === index)
+                        .join(",")).join("|");
+                    let hash = 5381;
+
+                    for (let i = 0; i < signature.length; i++) {
+                        hash = ((hash << 5) + hash + signature.charCodeAt(i)) | 0;
+                    }
+                    version = (hash >>> 0).toString(36);
+                }
+                persistence.versions[formId] = String(version);
+            }
+            return persistence.versions[formId];
+        },
+        position: (formId) => {
+            let anchors = $("#" + $.formwizard.options[formId].wizardContainerId + " > ul.step-anchor > li");
+            let indexesOf = className => anchors.map(function (index) {
+                return $(this).hasClass(className) ? index : null;
+            }).get();
+
+            return {
+                current: anchors.filter(".active").index(),
+                done: indexesOf("done"),
+                error: indexesOf("danger")
+            };
+        },
+        restorePosition: (formId, position) => {
+            let wizardContainerId = "#" + $.formwizard.options[formId].wizardContainerId;
+            let anchors = $(wizardContainerId + " > ul.step-anchor > li");
+
+            if (position.current < 0 || position.current >= anchors.length) {
+                return;
+            }
+
+            $.formwizard.formNavigation.goToStep(wizardContainerId, position.current);
+
+            //navigating marks the steps itself, so apply the saved state afterwards
+            anchors.each(function (index) {
+                $(this)
+                    .toggleClass("done", !$(this).hasClass("active") && position.done.indexOf(index) !== -1)
+                    .toggleClass("danger", position.error.indexOf(index) !== -1);
+            });
+        },
+        write: (formId) => {
+            let persistence = $.formwizard.persistence;
+
+            let fields = {};
+
+            //the steps skipped by their conditions are not saved
+            $.each($.formwizard.instance(formId).storageFields, function (stepKey, stepData) {
+                if (!$.formwizard.conditions.isSkipped(formId, parseInt(stepKey.replace("step-", ""), 10))) {
+                    fields[stepKey] = stepData;
+                }
+            });
+
+            return persistence.store(formId, persistence.storagePrefix + formId, {
+                version: persistence.version(formId),
+                savedAt: Date.now(),
+                position: persistence.position(formId),
+                fields: fields
+            });
+        },
+        store: (formId, key, draft) => {
+            let persistence = $.formwizard.persistence;
+            let queue = persistence.writes[formId] || Promise.resolve();
+
+            //keep the order of the writes as the encryption runs async,
+            //resolves with false when the draft could not be saved
+            persistence.writes[formId] = queue
+                .then(() => persistence.encode(formId, draft))
+                .then(json => persistence.storage(formId).set(key, json))
+                .then(() => true)
+                .catch(error => {
+                    persistence.error(formId, error);
+                    return false;
+                });
+
+            return persistence.writes[formId];
+        },
+        writes: {},
+        encode: (formId, draft) => {
+            let json = JSON.stringify(draft);
+            let encryption = $.formwizard.persistence.encryption;
+
+            return encryption.isEnabled(formId) ? encryption.encrypt(formId, json) : Promise.resolve(json);
+        },
+
+        /**
+         * Parses the saved json and decrypts it if it was encrypted, resolves
+         * with null if the json is not valid or cannot be decrypted
+         */
+        decode: (formId, json) => {
+            let payload;
+
+            try {
+                payload = JSON.parse(json);
+            } catch (error) {
+                payload = null;
+            }
+
+            if (payload !== null && payload.cipher === "AES-GCM") {
+                return $.formwizard.persistence.encryption.decrypt(formId, payload).then(text => text === null ? null : JSON.parse(text));
+            }
+            return Promise.resolve(payload);
+        },
+        error: (formId, error) => {
+            $.formwizard.triggerEvent("formwizard." + formId + ".persistenceError", "#" + formId, {
+                error: error
+            });
+            return null;
+        },
+
+        /**
+         * AES-GCM encryption of the saved drafts with the WebCrypto api, the key
+         * is provided by the `encryptionKey` or the `encryptionKeyProvider` option
+         */
+        encryption: {
+            keys: {},
+            isEnabled: (formId) => {
+                let settings = $.formwizard.persistence.settings(formId);
+                return !!(settings.encryptionKey || settings.encryptionKeyProvider);
+            },
+            toBase64: bytes => {
+                let binary = "";
+
+                bytes.forEach(byte => {
+                    binary += String.fromCharCode(byte);
+                });
+                return btoa(binary);
+            },
+            fromBase64: text => Uint8Array.from(atob(text), char => char.charCodeAt(0)),
+            key: (formId) => {
+                let encryption = $.formwizard.persistence.encryption;
+
+                if (!encryption.keys.hasOwnProperty(formId)) {
+                    let {
+                        encryptionKey,
+                        encryptionKeyProvider
+                    } = $.formwizard.persistence.settings(formId);
+                    let key = typeof encryptionKeyProvider === "function" ? encryptionKeyProvider(formId) : encryptionKey;
+
+                    //the key can be a base64 encoded raw key or a CryptoKey
+                    encryption.keys[formId] = Promise.resolve(key).then(key => typeof key !== "string" ? key : window.crypto.subtle.importKey(
+                        "raw",
+                        encryption.fromBase64(key), {
+                            name: "AES-GCM"
+                        },
+                        false, ["encrypt", "decrypt"]
+                    ));
+
+                    //ask for the key again next time if it is not available
+                    encryption.keys[formId].catch(() => delete encryption.keys[formId]);
+                }
+                return encryption.keys[formId];
+            },
+            encrypt: (formId, text) => {
+                let encryption = $.formwizard.persistence.encryption;
+                let iv = window.crypto.getRandomValues(new Uint8Array(12));
+
+                return encryption.key(formId).then(key => window.crypto.subtle.encrypt({
+                    name: "AES-GCM",
+                    iv: iv
+                }, key, new TextEncoder().encode(text))).then(data => JSON.stringify({
+                    cipher: "AES-GCM",
+                    iv: encryption.toBase64(iv),
+                    data: encryption.toBase64(new Uint8Array(data))
+                }));
+            },
+            decrypt: (formId, payload) => {
+                let encryption = $.formwizard.persistence.encryption;
+
+                //a payload that fails to decrypt resolves with null, a missing key rejects
+                return encryption.key(formId).then(key => window.crypto.subtle.decrypt({
+                    name: "AES-GCM",
+                    iv: encryption.fromBase64(payload.iv)
+                }, key, encryption.fromBase64(payload.data)).then(
+                    data => new TextDecoder().decode(data),
+                    () => null
+                ));
+            }
+        },
+
+        /**
+         * Reads the draft of the form, the expired drafts and the drafts with
+         * a different version are discarded unless the `migrate` callback
+         * returns the migrated fields, or marked `stale` with `keepStale`.
+         * Resolves with null if no usable draft.
+         */
+        read: (formId, key = $.formwizard.persistence.storagePrefix + formId, keepStale = false) => {
+            let persistence = $.formwizard.persistence;
+            let storage = persistence.storage(formId);
+
+            return storage.get(key).then(json => persistence.decode(formId, json).then(draft => {
+                if (json === null) {
+                    return null;
+                }
+
+                //discard the draft that cannot be read
+                if (draft === null || typeof draft !== "object") {
+                    persistence.error(formId, new Error("The saved draft could not be read."));
+                    return storage.remove(key).then(() => null);
+                }
+
+                //drafts saved before the versioning hold the fields only
+                if (!draft.hasOwnProperty("version")) {
+                    draft = {
+                        version: null,
+                        savedAt: null,
+                        fields: draft
+                    };
+                }
+
+                let {
+                    ttl,
+                    migrate
+                } = persistence.settings(formId);
+                let version = persistence.version(formId);
+                let isExpired = ttl > 0 && draft.savedAt !== null && Date.now() - draft.savedAt > ttl * 1000;
+                let fields = draft.fields;
+
+                if (!isExpired && draft.version !== version) {
+                    fields = typeof migrate === "function" ? migrate(draft.fields, draft.version, version, formId) : false;
+                }
+
+                //keep the saved fields of the stale draft as they are
+                if (isExpired || !fields) {
+                    return keepStale ? $.extend(draft, {
+                        stale: true
+                    }) : storage.remove(key).then(() => null);
+                }
+                return $.extend(draft, {
+                    version: version,
+                    fields: fields
+                });
+            })).catch(error => persistence.error(formId, error));
+        },
+        clearStorage: (formId) => {
+            let persistence = $.formwizard.persistence;
+
+            //clear storage fields variable
+            $.formwizard.instance(formId).storageFields = {};
+
+            //remove the draft of the form only
+            return persistence.storage(formId).remove(persistence.storagePrefix + formId);
+        },
+        loadForm: (formId, steps) => {
+            let persistence = $.formwizard.persistence;
+
+            //load fields stored
+            return persistence.read(formId).then(draft => {
+                draft !== null && persistence.applyDraft(formId, draft, steps);
+            });
+        },
+
+        /**
+         * Restores the draft, if the step numbers are provided only the fields
+         * of those steps are restored and the rest of the draft is dropped
+         */
+        applyDraft: (formId, draft, steps) => {
+            let persistence = $.formwizard.persistence;
+            let isPartial = $.isArray(steps);
+
+            let storageFields = $.formwizard.instance(formId).storageFields = {};
+
+            $.each(draft.fields, function (stepKey, stepData) {
+                if (!isPartial || steps.indexOf(parseInt(stepKey.replace("step-", ""), 10)) !== -1) {
+                    storageFields[stepKey] = stepData;
+                }
+            });
+            persistence.restoreFields(formId, storageFields, !!draft.complete);
+
+            if (isPartial) {
+                return persistence.write(formId);
+            }
+
+            //take the user back to the step where the form was left
+            draft.position && persistence.restorePosition(formId, draft.position);
+            return Promise.resolve();
+        },
+        fieldLabel: (formId, fieldId) => {
+            let field = $("#" + formId + " #" + fieldId);
+
+            //the fields of the tabular rows not added yet take the label from the first row
+            if (!field.length) {
+                field = $("#" + formId + " #" + fieldId.replace(/\-([\d]+)\-/, "-0-"));
+            }
+
+            let label = $("#" + formId + ' label[for="' + field.attr("id") + '"]').text() ||
+                field.closest(".form-group").find("label").first().text() ||
+                field.attr("placeholder");
+
+            return $.trim(label || fieldId);
+        },
+        displayValue: (field, value) => {
+            if (field !== null && field.tagName == "SELECT") {
+                return [].concat(value).map(optionValue => $(field).find("option").filter(function () {
+                    return this.value == optionValue;
+                }).text()).join(", ");
+            }
+
+            if (typeof value === "boolean") {
+                return value ? "\u2714" : "\u2718";
+            }
+            return $.isArray(value) ? value.join(", ") : value;
+        },
+
+        /**
+         * Shows the summary of the saved draft grouped by steps above the wizard
+         * highlighting the values that differ from the current ones, and lets the
+         * user restore all or the selected steps, or discard the draft
+         */
+        restorePreview: (formId, draft) => {
+            let persistence = $.formwizard.persistence;
+            let messages = persistence.settings(formId).messages;
+            let wizardContainer = $("#" + $.formwizard.options[formId].wizardContainerId);
+            let anchors = wizardContainer.find("> ul.step-anchor > li > a");
+            let title = messages.restoreTitle + (draft.savedAt ? " (" + new Date(draft.savedAt).toLocaleString() + ")" : "");
+            let preview = $('<div class="formwizard-restore-preview alert alert-info"></div>')
+                .append($("<h4></h4>").text(title));
+
+            //remove the preview if already shown
+            $("#" + formId + " .formwizard-restore-preview").remove();
+
+            $.each(draft.fields, function (stepKey, stepData) {
+                let step = parseInt(stepKey.replace("step-", ""), 10);
+                let list = $('<ul class="list-group"></ul>');
+                let fields = stepData.fields;
+
+                //merge the rows of the tabular step
+                if (stepData.stepType == "tabular") {
+                    fields = $.extend.apply(null, [{}].concat(Object.keys(stepData.fields).map(rowId => stepData.fields[rowId])));
+                }
+
+                $.each(fields, function (fieldId, value) {
+                    let field = document.querySelector("#" + formId + " #" + fieldId);
+                    let handler = field !== null && persistence.fieldHandler(field);
+                    let current = handler ? handler.serialize(field, formId)[fieldId] : null;
+
+                    //skip the unchecked options that are still unchecked
+                    if (value === false && !current) {
+                        return;
+                    }
+
+                    let isChanged = JSON.stringify(value) !== JSON.stringify(current);
+
+                    list.append(
+                        $('<li class="list-group-item"></li>')
+                        .toggleClass("list-group-item-warning changed", isChanged)
+                        .attr("title", isChanged ? messages.restoreChanged : null)
+                        .append($("<strong></strong>").text(persistence.fieldLabel(formId, fieldId) + ": "))
+                        .append(document.createTextNode(persistence.displayValue(field, value)))
+                    );
+                });
+
+                let stepTitle = $.trim(anchors.eq(step).contents().first().text()) || "Step " + (step + 1);
+
+                preview.append(
+                    $('<div class="restore-preview-step"></div>').append(
+                        $("<label></label>").append(
+                            $('<input type="checkbox" class="restore-preview-select" checked>').val(step),
+                            document.createTextNode(" " + stepTitle)
+                        ),
+                        list
+                    )
+                );
+            });
+
+            preview.append(
+                $('<div class="restore-preview-buttons"></div>').append(
+                    $('<button type="button" class="btn btn-success restore-all"></button>').text(messages.restoreAll),
+                    $('<button type="button" class="btn btn-info restore-selected"></button>').text(messages.restoreSelected),
+                    $('<button type="button" class="btn btn-danger restore-discard"></button>').text(messages.restoreDiscard)
+                )
+            );
+
+            preview.on("click", ".restore-all", function () {
+                preview.remove();
+                persistence.applyDraft(formId, draft);
+            }).on("click", ".restore-selected", function () {
+                let steps = preview.find(".restore-preview-select:checked").map(function () {
+                    return parseInt(this.value, 10);
+                }).get();
+
+                preview.remove();
+                persistence.applyDraft(formId, draft, steps);
+            }).on("click", ".restore-discard", function () {
+                preview.remove();
+                persistence.clearStorage(formId);
+            });
+
+            wizardContainer.before(preview);
+        },
+
+        /**
+         * Named drafts saved by the user along with the autosaved draft, each
+         * draft holds the snapshot of all the fields and the step position
+         */
+        drafts: {
+            prefix: (formId) => $.formwizard.persistence.storagePrefix + formId + ".drafts.",
+            list: (formId) => {
+                let persistence = $.formwizard.persistence;
+                let prefix = persistence.drafts.prefix(formId);
+
+                //the drafts are kept on purpose, the stale ones are listed as stale
+                return persistence.storage(formId).list(prefix).then(keys => Promise.all(keys.map(key => persistence.read(formId, key, true).then(draft => draft && {
+                    id: key.substr(prefix.length),
+                    name: draft.name,
+                    savedAt: draft.savedAt,
+                    step: draft.position ? draft.position.current : 0,
+                    stale: draft.stale === true
+                })))).then(drafts => drafts.filter(draft => draft).sort((a, b) => b.savedAt - a.savedAt));
+            },
+            save: (formId, name) => {
+                let persistence = $.formwizard.persistence;
+                let id = Date.now().toString(36) + Math.random().toString(36).substr(2, 4);
+
+                return persistence.store(formId, persistence.drafts.prefix(formId) + id, {
+                    version: persistence.version(formId),
+                    savedAt: Date.now(),
+                    position: persistence.position(formId),
+                    name: name,
+                    complete: true,
+                    fields: persistence.collect(formId)
+                }).then(saved => saved ? id : false);
+            },
+            load: (formId, id) => {
+                let persistence = $.formwizard.persistence;
+
+                return persistence.read(formId, persistence.drafts.prefix(formId) + id, true).then(draft => {
+                    if (draft === null || draft.stale) {
+                        return false;
+                    }
+
+                    //continue autosaving from the loaded draft
+                    return persistence.applyDraft(formId, draft).then(() => persistence.write(formId)).then(() => true);
+                });
+            },
+            rename: (formId, id, name) => {
+                let persistence = $.formwizard.persistence;
+                let key = persistence.drafts.prefix(formId) + id;
+
+                return persistence.read(formId, key, true).then(draft => {
+                    if (draft !== null) {
+                        delete draft.stale;
+                        draft.name = name;
+                        return persistence.store(formId, key, draft);
+                    }
+                    return false;
+                });
+            },
+            remove: (formId, id) => {
+                let persistence = $.formwizard.persistence;
+
+                return persistence.storage(formId).remove(persistence.drafts.prefix(formId) + id);
+            },
+
+            /**
+             * Shows the panel to save the current form as a named draft and
+             * to load, rename or delete the saved drafts, hides it if shown
+             */
+            toggle: (formId) => {
+                let persistence = $.formwizard.persistence;
+                let messages = persistence.settings(formId).messages;
+                let wizardContainer = $("#" + $.formwizard.options[formId].wizardContainerId);
+
+                if ($("#" + formId + " .formwizard-drafts").remove().length) {
+                    return;
+                }
+
+                let panel = $('<div class="formwizard-drafts panel panel-default card"></div>').append(
+                    $('<div class="panel-heading card-header"></div>').text(messages.draftsTitle),
+                    $('<div class="panel-body card-body"></div>').append(
+                        $('<div class="input-group"></div>').append(
+                            $('<input type="text" class="form-control drafts-name">').attr("placeholder", messages.draftsName),
+                            $('<span class="input-group-btn input-group-append"></span>').append(
+                                $('<button type="button" class="btn btn-success drafts-save"></button>').text(messages.draftsSave)
+                            )
+                        )
+                    ),
+                    $('<ul class="list-group list-group-flush drafts-list"></ul>')
+                );
+
+                panel.on("click", ".drafts-save", function () {
+                    let input = panel.find(".drafts-name");
+                    let name = $.trim(input.val()) || new Date().toLocaleString();
+
+                    persistence.drafts.save(formId, name).then(id => {
+                        //keep the name to retry if the draft was not saved
+                        if (id === false) {
+                            return;
+                        }
+                        input.val("");
+                        persistence.drafts.render(formId);
+                    });
+                }).on("click", ".drafts-load", function () {
+                    persistence.drafts.load(formId, $(this).closest("li").data("draft"));
+                }).on("click", ".drafts-rename", function () {
+                    let item = $(this).closest("li");
+                    let name = window.prompt(messages.draftsRenamePrompt, item.find(".drafts-item-name").text());
+
+                    if (name !== null && $.trim(name) !== "") {
+                        persistence.drafts.rename(formId, item.data("draft"), $.trim(name)).then(() => persistence.drafts.render(formId));
+                    }
+                }).on("click", ".drafts-delete", function () {
+                    if (window.confirm(messages.draftsDeleteConfirm)) {
+                        persistence.drafts.remove(formId, $(this).closest("li").data("draft")).then(() => persistence.drafts.render(formId));
+                    }
+                });
+
+                wizardContainer.before(panel);
+                return persistence.drafts.render(formId);
+            },
+            render: (formId) => {
+                let persistence = $.formwizard.persistence;
+                let messages = persistence.settings(formId).messages;
+                let anchors = $("#" + $.formwizard.options[formId].wizardContainerId + " > ul.step-anchor > li > a");
+
+                return persistence.drafts.list(formId).then(drafts => {
+                    let list = $("#" + formId + " .formwizard-drafts .drafts-list").empty();
+
+                    if (!drafts.length) {
+                        list.append($('<li class="list-group-item drafts-empty"></li>').text(messages.draftsEmpty));
+                    }
+
+                    drafts.forEach(function (draft) {
+                        let stepTitle = $.trim(anchors.eq(draft.step).contents().first().text()) || "Step " + (draft.step + 1);
+
+                        list.append(
+                            $('<li class="list-group-item"></li>').data("draft", draft.id).toggleClass("list-group-item-warning drafts-stale", draft.stale).append(
+                                $('<strong class="drafts-item-name"></strong>').text(draft.name),
+                                $('<small class="drafts-item-info"></small>').text(" " + new Date(draft.savedAt).toLocaleString() + " \u2014 " + stepTitle + (draft.stale ? " \u2014 " + messages.draftsStale : "")),
+                                $('<span class="drafts-item-buttons"></span>').append(
+                                    //the stale draft cannot be loaded in the current form
+                                    $('<button type="button" class="btn btn-xs btn-sm btn-primary drafts-load"></button>').text(messages.draftsLoad).prop("disabled", draft.stale),
+                                    $('<button type="button" class="btn btn-xs btn-sm btn-default btn-secondary drafts-rename"></button>').text(messages.draftsRename),
+                                    $('<button type="button" class="btn btn-xs btn-sm btn-danger drafts-delete"></button>').text(messages.draftsDelete)
+                                )
+                            )
+                        );
+                    });
+                });
+            }
+        },
+        restoreFields: (formId, storageFields, isComplete = false) => {
+            let restoreField = $.formwizard.persistence.restoreField;
+
+            $.formwizard.instance(formId).restoring = true;
+
+            //iterate an retore data for all the fields
+            for (let steps in storageFields) {
+                let stepData = storageFields[steps];
+
+                if (stepData.stepType !== 'tabular') {
+                    let fields = stepData.fields;
+
+                    for (let id in fields) {
+                        if (fields.hasOwnProperty(id)) {
+                            //restore the value
+                            restoreField(formId, id, fields[id]);
+                        }
+                    }
+                } else {
+                    let rows = stepData.fields;
+                    //the keys of the steps are the panel ids without the form id
+                    let rowsContainer = $("#" + formId + "-" + steps + " .fields_container");
+
+                    //the rows are saved only once changed, so the last row decides the rows length
+                    let rowsLength = Math.max.apply(null, [1].concat(Object.keys(rows).map(row => parseInt(row.replace("row_", ""), 10) + 1).filter(length => !isNaN(length))));
+
+                    //add the missing rows only
+                    for (let iter = rowsContainer.find(".tabular-row").length; iter < rowsLength; iter++) {
+                        $.formwizard.tabular.addRow($("#" + formId + "-" + steps + " .add_row"));
+                    }
+
+                    //the complete drafts hold all the rows, remove the rows added after it was saved
+                    if (isComplete) {
+                        rowsContainer.find(".tabular-row").slice(rowsLength).each(function () {
+                            $.formwizard.tabular.removeRow($.formwizard.tabular.rowIndex(this), rowsContainer);
+                        });
+                    }
+
+                    //iterate the rows
+                    for (let row in rows) {
+
+                        if (rows.hasOwnProperty(row)) {
+                            let fields = rows[row];
+
+                            //iterate the fields
+                            for (let id in fields) {
+
+                                //restore the value
+                                restoreField(formId, id, fields[id]);
+                            }
+                        }
+                    }
                 }
+            }
+
+            $.formwizard.instance(formId).restoring = false;
+
+            //the history does not apply to the restored rows
+            $.formwizard.history.forms.hasOwnProperty(formId) && $.formwizard.history.clear(formId);
+        },
+        restoreField: (formId, fieldId, value) => {
+            let field = document.querySelector("#" + formId + " #" + fieldId);
+            let handler = field !== null && $.formwizard.persistence.fieldHandler(field);
+
+            //skip the fields that are not available in the form anymore
+            if (!handler) {
+                return;
+            }
+
+            // restore value
+            handler.restore(field, value, formId);
+
+            //trigger the afterRestoreEvent
+            $.formwizard.triggerEvent("formwizard." + formId + ".afterRestore", "#" + formId + " #" + fieldId, {
+                fieldId: fieldId,
+                fieldValue: value
             });
+        },
 
-            let rowClone = documentFragment.querySelector("div.tabular-row");
+        /**
+         * Detects the same form open in the other tabs of the browser, and
+         * depending on the `crossTab` option warns the user, syncs the field
+         * values live or locks the form in all but one tab.
+         */
+        crossTab: {
+            tabId: Math.random().toString(36).substr(2),
+            forms: {},
+            channel: (formId, onMessage) => {
+                let name = $.formwizard.persistence.storagePrefix + formId + ".tabs";
+
+                if (typeof window.BroadcastChannel === "function") {
+                    let channel = new window.BroadcastChannel(name);
+
+                    channel.onmessage = e => onMessage(e.data);
+                    return {
+                        post: message => channel.postMessage(message),
+                        close: () => channel.close()
+                    };
+                }
 
-            //update row container id
-            rowClone.id = rowClone.id.replace(
-                /\_[^\_]+$/,
-                "_" + parseInt(currentIndex)
-            );
+                //fallback to the storage event for the browsers without BroadcastChannel
+                let listener = e => {
+                    let event = e.originalEvent;
+                    event.key === name && event.newValue && onMessage(JSON.parse(event.newValue));
+                };
 
-            let newFields = [];
-            //update input ids
-            documentFragment
-                .querySelectorAll("input,select,textarea")
-                .forEach(function (element, index) {
+                $(window).on("storage" + $.formwizard.namespace(formId), listener);
+                return {
+                    post: message => {
+                        localStorage.setItem(name, JSON.stringify(message));
+                        localStorage.removeItem(name);
+                    },
+                    close: () => $(window).off("storage" + $.formwizard.namespace(formId), listener)
+                };
+            },
+            open: (formId) => {
+                let crossTab = $.formwizard.persistence.crossTab;
 
-                    //save old id
-                    let oldFieldId = element.id;
+                crossTab.forms[formId] = {
+                    peers: {},
+                    channel: crossTab.channel(formId, message => crossTab.receive(formId, message))
+                };
 
-                    //update input attributes
-                    tabular.updateFieldAttributes(element, currentIndex);
-                    if (typeof $(element).attr('id') !== 'undefined') {
-                        //get the default field options ActiveForm
-                        let fieldOptions = tabular.setFieldDefaults(
-                            element,
-                            formId,
-                            oldFieldId
-                        );
+                //tell the other tabs that the form is open
+                crossTab.post(formId, {
+                    type: "hello"
+                });
 
-                        //add field to the formwizard step fields list
-                        $.formwizard.helper.addField(formId, element, currentStep);
-                        newFields.push(element.id);
-                        if (typeof fieldOptions !== 'undefined') {
-                            //add field to the activeform validation
-                            $.formwizard.validation.addField(formId, fieldOptions);
+                $(window).on("beforeunload" + $.formwizard.namespace(formId), function () {
+                    crossTab.post(formId, {
+                        type: "bye"
+                    });
+                });
+            },
+            close: (formId) => {
+                let crossTab = $.formwizard.persistence.crossTab;
+
+                if (!crossTab.forms.hasOwnProperty(formId)) {
+                    return;
+                }
+
+                //let the other tabs take over the form
+                crossTab.post(formId, {
+                    type: "bye"
+                });
+                crossTab.unlock(formId);
+                $("#" + formId + " .formwizard-crosstab-notice").remove();
+                crossTab.forms[formId].channel.close();
+                delete crossTab.forms[formId];
+            },
+            post: (formId, message) => {
+                let crossTab = $.formwizard.persistence.crossTab;
+
+                if (crossTab.forms.hasOwnProperty(formId)) {
+                    crossTab.forms[formId].channel.post($.extend({
+                        tab: crossTab.tabId
+                    }, message));
+                }
+            },
+            receive: (formId, message) => {
+                let persistence = $.formwizard.persistence;
+                let crossTab = persistence.crossTab;
+                let form = crossTab.forms[formId];
+                let mode = persistence.settings(formId).crossTab;
+
+                switch (message.type) {
+                    case "hello":
+                        //answer the new tab, in lock mode the form stays with the tabs open before
+                        crossTab.post(formId, {
+                            type: "present"
+                        });
+                        form.peers[message.tab] = true;
+                        mode == "lock" || crossTab.notice(formId);
+                        break;
+                    case "present":
+                        form.peers[message.tab] = true;
+
+                        //any tab open before holds the form, locked or not, keep the take over notice
+                        if (mode == "lock") {
+                            form.locked || crossTab.lock(formId);
+                        } else {
+                            crossTab.notice(formId);
+                        }
+
+                        //continue with the values saved by the tab open before
+                        mode == "sync" && crossTab.reload(formId);
+                        break;
+                    case "claim":
+                        mode == "lock" && crossTab.lock(formId);
+                        break;
+                    case "bye":
+                        delete form.peers[message.tab];
+
+                        if ($.isEmptyObject(form.peers)) {
+                            //the edits continue from the values saved by the tab that held the form
+                            if (form.locked) {
+                                crossTab.reload(formId).then(() => crossTab.unlock(formId));
+                            } else {
+                                crossTab.unlock(formId);
+                            }
+                        }
+                        break;
+                    case "field": {
+                        let storageFields = $.formwizard.instance(formId).storageFields;
+                        let stepData = storageFields[message.stepKey] = storageFields[message.stepKey] || {
+                            stepType: message.stepType,
+                            fields: {}
+                        };
+                        let fields = stepData.fields;
+
+                        if (message.rowId !== null) {
+                            fields = fields[message.rowId] = fields[message.rowId] || {};
                         }
+                        $.extend(fields, message.values);
+
+                        //apply the values without sending them back
+                        $.formwizard.instance(formId).syncing = true;
+                        $.each(message.values, (fieldId, value) => persistence.restoreField(formId, fieldId, value));
+                        $.formwizard.instance(formId).syncing = false;
+                        break;
+                    }
+                }
+            },
+            notice: (formId) => {
+                let {
+                    messages,
+                    crossTab
+                } = $.formwizard.persistence.settings(formId);
+
+                $("#" + formId + " .formwizard-crosstab-notice").remove();
+                $("#" + $.formwizard.options[formId].wizardContainerId).before(
+                    $('<div class="formwizard-crosstab-notice alert alert-warning"></div>')
+                    .text(crossTab == "sync" ? messages.crossTabSync : messages.crossTabWarning)
+                );
+            },
+            lock: (formId) => {
+                let crossTab = $.formwizard.persistence.crossTab;
+                let messages = $.formwizard.persistence.settings(formId).messages;
+                let notice = $('<div class="formwizard-crosstab-notice alert alert-warning"></div>')
+                    .text(messages.crossTabLocked + " ")
+                    .append($('<button type="button" class="btn btn-warning"></button>').text(messages.crossTabTakeOver));
+
+                crossTab.unlock(formId);
+                crossTab.forms[formId].locked = true;
+
+                //disable the inputs that are not already disabled
+                $("#" + formId + " :input:enabled").addClass("formwizard-tab-locked").prop("disabled", true);
+
+                notice.on("click", "button", function () {
+                    //the edits start from the values saved by the other tab
+                    crossTab.reload(formId).then(() => {
+                        crossTab.unlock(formId);
+                        crossTab.post(formId, {
+                            type: "claim"
+                        });
+                    });
+                });
+
+                $("#" + $.formwizard.options[formId].wizardContainerId).before(notice);
+            },
+
+            /**
+             * Loads the draft saved by the other tabs into the form, so that the
+             * next saved field does not overwrite it with the stale values
+             */
+            reload: (formId) => {
+                let persistence = $.formwizard.persistence;
+                let instance = $.formwizard.instance(formId);
+
+                return persistence.read(formId).then(draft => {
+                    if (draft === null) {
+                        return;
                     }
+
+                    instance.storageFields = draft.fields;
+
+                    //apply the values without sending them back
+                    instance.syncing = true;
+                    persistence.restoreFields(formId, draft.fields);
+                    instance.syncing = false;
+                });
+            },
+            unlock: (formId) => {
+                $.formwizard.persistence.crossTab.forms[formId].locked = false;
+                $("#" + formId + " .formwizard-crosstab-notice").remove();
+                $("#" + formId + " .formwizard-tab-locked").removeClass("formwizard-tab-locked").prop("disabled", false);
+            }
+        },
+        init: (formId) => {
+
+            //bind the onchange for the form inputs to update the form data as soon it is updated
+            $(document).on("change" + $.formwizard.namespace(formId), "#" + formId + " :input", function (e) {
+                let stepData = $(this).closest("div.step-content").data('step');
+
+                //skip the inputs outside the steps
+                if (typeof stepData !== 'undefined') {
+                    $.formwizard.persistence.savefield(e.currentTarget, formId, stepData);
+                }
+            });
+
+            //save the step position along with the fields when the step changes
+            $("#" + $.formwizard.options[formId].wizardContainerId).on("showStep" + $.formwizard.namespace(formId), function () {
+                let persistence = $.formwizard.persistence;
+
+                if (!$.isEmptyObject($.formwizard.instance(formId).storageFields)) {
+                    persistence.write(formId);
+                }
+            });
+
+            //bind restore button
+            $("#" + formId + " button.formwizard_restore").on("click" + $.formwizard.namespace(formId), function (e) {
+                e.preventDefault();
+                let persistence = $.formwizard.persistence;
+
+                if (!persistence.settings(formId).restorePreview) {
+                    persistence.loadForm(formId);
+                    return;
+                }
+
+                persistence.read(formId).then(draft => {
+                    draft !== null && persistence.restorePreview(formId, draft);
+                });
+            });
+
+            //bind the named drafts button
+            $("#" + formId + " button.formwizard_drafts").on("click" + $.formwizard.namespace(formId), function (e) {
+                e.preventDefault();
+                $.formwizard.persistence.drafts.toggle(formId);
+            });
+
+            //watch for the same form in the other tabs
+            if ($.formwizard.persistence.settings(formId).crossTab) {
+                $.formwizard.persistence.crossTab.open(formId);
+            }
+
+            //show the restore preview on page load if a draft is available
+            if ($.formwizard.persistence.settings(formId).restorePreview) {
+                $.formwizard.persistence.read(formId).then(draft => {
+                    draft !== null && $.formwizard.persistence.restorePreview(formId, draft);
+                });
+            }
+
+        }
+    },
+
+    /**
+     * Exports the data of all the steps to a json file and imports it back,
+     * the imported rows are added and the fields restored like a saved draft
+     */
+    transfer: {
+        data: (formId) => {
+            let persistence = $.formwizard.persistence;
+
+            return {
+                form: formId,
+                version: persistence.version(formId),
+                exportedAt: Date.now(),
+                position: persistence.position(formId),
+                fields: persistence.collect(formId)
+            };
+        },
+        download: (formId) => {
+            let blob = new Blob([JSON.stringify($.formwizard.transfer.data(formId), null, 2)], {
+                type: "application/json"
+            });
+            let link = document.createElement("a");
+
+            link.href = URL.createObjectURL(blob);
+            link.download = formId + "-" + new Date().toISOString().replace(/[:.]/g, "-") + ".json";
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            //some browsers start the download after the click returns
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        },
+
+        /**
+         * Restores the exported data, the data exported with a different version
+         * of the form is rejected unless the `migrate` callback returns the fields
+         */
+        importData: (formId, data) => {
+            let persistence = $.formwizard.persistence;
+
+            if (data === null || typeof data !== "object" || typeof data.fields !== "object" || data.fields === null) {
+                return Promise.reject(new Error("The file does not contain the form data."));
+            }
+
+            let fields = data.fields;
+            let version = persistence.version(formId);
+            let migrate = persistence.settings(formId).migrate;
+
+            //the data of a different version is rejected like the saved drafts
+            if (data.version !== version) {
+                fields = typeof migrate === "function" ? migrate(fields, data.version, version, formId) : false;
+
+                if (!fields) {
+                    return Promise.reject(new Error("The file was exported from a different version of the form."));
+                }
+            }
+
+            persistence.restoreFields(formId, fields, true);
+            data.position && persistence.restorePosition(formId, data.position);
+
+            //keep the imported data as the saved draft
+            if ($.formwizard.options[formId].enablePersistence) {
+                $.formwizard.instance(formId).storageFields = fields;
+                return persistence.write(formId);
+            }
+            return Promise.resolve();
+        },
+        importFile: (formId, file) => new Promise((resolve, reject) => {
+            let reader = new FileReader();
+
+            reader.onload = () => {
+                let data;
+
+                try {
+                    data = JSON.parse(reader.result);
+                } catch (error) {
+                    reject(new Error("The file is not a valid json file."));
+                    return;
+                }
+                $.formwizard.transfer.importData(formId, data).then(resolve, reject);
+            };
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        }),
+
+        /**
+         * Opens the file dialog to select the file to import
+         */
+        choose: (formId) => {
+            let input = $('<input type="file" accept=".json,application/json">');
+
+            input.on("change", function () {
+                if (this.files.length) {
+                    $.formwizard.transfer.importFile(formId, this.files[0]).catch(error => {
+                        $.formwizard.helper.showMessage(error.message);
+                    });
+                }
+            });
+            input.trigger("click");
+        }
+    },
+
+    /**
+     * In-memory undo and redo of the field changes and the tabular rows
+     * added or removed, the field values are kept to know the value before
+     * the change as the change event provides the new value only
+     */
+    history: {
+        limit: 100,
+        forms: {},
+        paused: false,
+        init: (formId) => {
+            let history = $.formwizard.history;
+            let form = $("#" + formId);
+
+            history.forms[formId] = {
+                undo: [],
+                redo: [],
+                values: $.formwizard.helper.fieldValues(formId)
+            };
+
+            form.on("change" + $.formwizard.namespace(formId), ":input", function () {
+                let stepData = $(this).closest("div.step-content").data("step");
+
+                //skip the inputs outside the steps
+                if (!history.isRecording(formId) || typeof stepData === "undefined") {
+                    return;
+                }
+
+                let persistence = $.formwizard.persistence;
+                let field = persistence.fieldElement(this, formId);
+                let handler = persistence.fieldHandler(field);
+
+                if (!field.id || handler === null) {
+                    return;
+                }
+
+                let after = handler.serialize(field, formId);
+                let before = {};
+
+                $.each(after, fieldId => {
+                    before[fieldId] = history.forms[formId].values[fieldId];
+                });
+
+                if (JSON.stringify(before) !== JSON.stringify(after)) {
+                    $.extend(history.forms[formId].values, after);
+                    history.record(formId, {
+                        type: "field",
+                        before: before,
+                        after: after
+                    });
+                }
+            }).on("formwizard.afterInsert" + $.formwizard.namespace(formId), function (e) {
+                if (history.isRecording(formId)) {
+                    let row = history.row(formId, $(e.target));
+
+                    $.extend(history.forms[formId].values, history.values(formId, row.fields));
+                    history.record(formId, {
+                        type: "addRow",
+                        row: row
+                    });
+                }
+            }).on("formwizard.beforeRemove" + $.formwizard.namespace(formId), function (e) {
+                history.isRecording(formId) && history.record(formId, {
+                    type: "removeRow",
+                    row: history.row(formId, $(e.target))
+                });
+            }).on("formwizard." + formId + ".afterRestore" + $.formwizard.namespace(formId), function (e, params) {
+                //the values restored from the draft or the other tabs are not undone
+                history.forms[formId].values[params.fieldId] = params.fieldValue;
+            }).on("keydown" + $.formwizard.namespace(formId), function (e) {
+                if (!(e.ctrlKey || e.metaKey) || String.fromCharCode(e.which).toLowerCase() !== "z") {
+                    return;
+                }
+
+                //let the browser undo the typing not yet committed with the change event
+                let persistence = $.formwizard.persistence;
+                let field = $(e.target).is(":input") && persistence.fieldElement(e.target, formId);
+                let handler = field && history.forms[formId].values.hasOwnProperty(field.id) && persistence.fieldHandler(field);
+
+                if (handler && JSON.stringify(handler.serialize(field, formId)[field.id]) !== JSON.stringify(history.forms[formId].values[field.id])) {
+                    return;
+                }
+
+                e.preventDefault();
+                e.shiftKey ? history.redo(formId) : history.undo(formId);
+            });
+        },
+        isRecording: (formId) => !$.formwizard.history.paused && !$.formwizard.instance(formId).restoring && !$.formwizard.instance(formId).syncing,
+        values: (formId, fieldIds) => {
+            let persistence = $.formwizard.persistence;
+            let values = {};
+
+            fieldIds.forEach(function (fieldId) {
+                let field = document.querySelector("#" + formId + " #" + fieldId);
+                let handler = field !== null && persistence.fieldHandler(field);
+
+                handler && $.extend(values, handler.serialize(field, formId));
+            });
+            return values;
+        },
+
+        /**
+         * Keeps the row along with its position, the registered fields and the
+         * ActiveForm attributes so that it can be removed and put back
+         */
+        row: (formId, row) => {
+            let step = row.closest("div.step-content").data("step").number;
+            let fields = row.find("input,select,textarea,div[id]").map(function () {
+                return this.id;
+            }).get().filter(id => $.formwizard.fields[formId][step].indexOf(id) !== -1);
+
+            return {
+                element: row,
+                container: row.parent(),
+                next: row.next(),
+                step: step,
+                fields: fields,
+                attributes: fields.map(id => $.formwizard.validation.findField(formId, id)).filter(attribute => typeof attribute !== "undefined")
+            };
+        },
+        detachRow: (formId, row) => {
+            $.formwizard.fields[formId][row.step] = $.grep($.formwizard.fields[formId][row.step], id => row.fields.indexOf(id) === -1);
+            row.attributes.forEach(attribute => $.formwizard.validation.adapter(formId).remove(formId, attribute.id));
+            row.element.detach();
+        },
+        attachRow: (formId, row) => {
+            //the rows are put back in the reverse order so the next row is already in place
+            if (row.next.length && row.next.parent().is(row.container)) {
+                row.element.insertBefore(row.next);
+            } else {
+                row.container.append(row.element);
+            }
+
+            row.fields.forEach(id => $.formwizard.fields[formId][row.step].push(id));
+            row.attributes.forEach(attribute => $.formwizard.validation.addField(formId, attribute));
+        },
+
+        /**
+         * Restores the values and triggers the change so that the validation
+         * and the persistence pick up the change
+         */
+        apply: (formId, values) => {
+            let persistence = $.formwizard.persistence;
+            let history = $.formwizard.history;
+
+            history.paused = true;
+            $.each(values, function (fieldId, value) {
+                let field = document.querySelector("#" + formId + " #" + fieldId);
+                let handler = field !== null && persistence.fieldHandler(field);
+
+                if (handler) {
+                    handler.restore(field, value, formId);
+                    ($(field).is(":input") ? $(field) : $(field).find(":input").first()).trigger("change");
+                }
+            });
+            $.extend(history.forms[formId].values, values);
+            history.paused = false;
+        },
+        record: (formId, entry) => {
+            let state = $.formwizard.history.forms[formId];
+
+            state.undo.push(entry);
+            state.redo = [];
+
+            //drop the oldest changes over the limit
+            if (state.undo.length > $.formwizard.history.limit) {
+                state.undo.shift();
+            }
+            $.formwizard.history.trigger(formId);
+        },
+        undo: (formId) => $.formwizard.history.replay(formId, "undo", "redo"),
+        redo: (formId) => $.formwizard.history.replay(formId, "redo", "undo"),
+        replay: (formId, from, to) => {
+            let history = $.formwizard.history;
+            let state = history.forms[formId];
+            let entry = state && state[from].pop();
+            let isUndo = from == "undo";
+
+            if (!entry) {
+                return false;
+            }
+
+            if (entry.type == "field") {
+                history.apply(formId, isUndo ? entry.before : entry.after);
+            } else if ((entry.type == "addRow") === isUndo) {
+                history.detachRow(formId, entry.row);
+            } else {
+                history.attachRow(formId, entry.row);
+            }
+
+            state[to].push(entry);
+            history.trigger(formId);
+            return true;
+        },
+        canUndo: (formId) => $.formwizard.history.forms.hasOwnProperty(formId) && $.formwizard.history.forms[formId].undo.length > 0,
+        canRedo: (formId) => $.formwizard.history.forms.hasOwnProperty(formId) && $.formwizard.history.forms[formId].redo.length > 0,
+        clear: (formId) => {
+            let history = $.formwizard.history;
+
+            $.extend(history.forms[formId], {
+                undo: [],
+                redo: [],
+                values: $.formwizard.helper.fieldValues(formId)
+            });
+            history.trigger(formId);
+        },
+        trigger: (formId) => {
+            $.formwizard.triggerEvent("formwizard." + formId + ".historyChange", "#" + formId, {
+                canUndo: $.formwizard.history.canUndo(formId),
+                canRedo: $.formwizard.history.canRedo(formId)
+            });
+        }
+    },
+
+    /**
+     * Adds the ARIA semantics of the ordered steps to the wizard, moves the
+     * focus to the shown step and announces the steps and the validation
+     * failures with a polite live region
+     */
+    aria: {
+        errors: {},
+        init: (formId) => {
+            let aria = $.formwizard.aria;
+            let wizardContainerId = "#" + $.formwizard.options[formId].wizardContainerId;
+
+            aria.errors[formId] = {};
+
+            $(wizardContainerId + " > ul.step-anchor").attr("role", "list");
+            aria.label(formId);
+
+            $(wizardContainerId + " > .sw-toolbar").attr("role", "toolbar");
+            $(wizardContainerId).append('<div class="formwizard-live sr-only" role="status" aria-live="polite" aria-atomic="true"></div>');
+
+            $(wizardContainerId).on("showStep" + $.formwizard.namespace(formId), function (e, anchorObject, stepNumber, stepDirection) {
+                aria.current(formId, stepNumber);
+                aria.announce(formId, aria.stepMessage(formId, stepNumber));
+
+                //leave the focus alone when the page loads
+                stepDirection !== "" && aria.focus(formId, stepNumber);
+            });
+            aria.current(formId, $.formwizard.helper.currentIndex("#" + formId));
+        },
+
+        /**
+         * Links the anchors and the panels of the steps, the ids set here are
+         * numbered again when the steps are rearranged
+         */
+        label: (formId) => {
+            let anchors = $("#" + $.formwizard.options[formId].wizardContainerId + " > ul.step-anchor > li > a");
+            let generatedId = new RegExp("^" + formId + "-step-anchor-\\d+$");
+
+            anchors.each(function (step) {
+                let panel = $("#" + $.formwizard.helper.stepId(formId, step));
+                let anchorId = $(this).attr("id") || "";
+
+                //keep the ids set by the user
+                if (anchorId === "" || generatedId.test(anchorId)) {
+                    anchorId = formId + "-step-anchor-" + step;
+                }
+
+                $(this).attr({
+                    id: anchorId,
+                    "aria-controls": $.formwizard.helper.stepId(formId, step)
+                }).parent().attr("role", "listitem");
+
+                panel.attr({
+                    role: "group",
+                    "aria-labelledby": anchorId,
+                    tabindex: "-1"
                 });
+            });
+        },
+        current: (formId, step) => {
+            let anchors = $("#" + $.formwizard.options[formId].wizardContainerId + " > ul.step-anchor > li > a");
+
+            anchors.removeAttr("aria-current").eq(step).attr("aria-current", "step");
+        },
+        title: (formId, step) => {
+            let anchor = $("#" + $.formwizard.options[formId].wizardContainerId + " > ul.step-anchor > li > a").eq(step);
+
+            //the title without the description of the step
+            return $.trim(anchor.clone().children().remove().end().text());
+        },
+        format: (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => params.hasOwnProperty(name) ? params[name] : match),
+
+        /**
+         * Returns the announcement of the step like `Step 2 of 5: Address`
+         * counting the visible steps only, along with its errors if any
+         */
+        stepMessage: (formId, step) => {
+            let aria = $.formwizard.aria;
+            let options = $.formwizard.options[formId];
+            let anchors = $("#" + options.wizardContainerId + " > ul.step-anchor > li");
+            let visible = anchors.not(".hidden");
+            let message = aria.format(options.ariaStepMessage || "Step {step} of {total}: {title}", {
+                step: visible.index(anchors.eq(step)) + 1,
+                total: visible.length,
+                title: aria.title(formId, step)
+            });
+            let errors = aria.errors[formId][step];
+
+            return errors ? message + ". " + aria.errorMessage(formId, step, errors) : message;
+        },
+        errorMessage: (formId, step, errors) => {
+            let messages = [].concat.apply([], Object.keys(errors).map(fieldId => errors[fieldId]));
+
+            return $.formwizard.aria.format($.formwizard.options[formId].ariaErrorMessage || "{title} has {count} error(s): {messages}", {
+                count: messages.length,
+                messages: messages.join(" "),
+                title: $.formwizard.aria.title(formId, step)
+            });
+        },
+        announce: (formId, message) => {
+            let region = $("#" + $.formwizard.options[formId].wizardContainerId + " > .formwizard-live");
+
+            //clear the region first so that the same message is announced again
+            region.text("");
+            setTimeout(() => region.text(message), 100);
+        },
+
+        /**
+         * Keeps the errors of the step for its announcement, the errors of
+         * the current step are announced right away
+         */
+        mark: (formId, step, errors) => {
+            let aria = $.formwizard.aria;
+
+            if (!aria.errors.hasOwnProperty(formId)) {
+                return;
+            }
+
+            if ($.isEmptyObject(errors)) {
+                delete aria.errors[formId][step];
+                return;
+            }
+
+            aria.errors[formId][step] = errors;
+            step === $.formwizard.helper.currentIndex("#" + formId) && aria.announce(formId, aria.errorMessage(formId, step, errors));
+        },
+
+        /**
+         * Focuses the first invalid field of the step, or the heading of the
+         * step if all the fields are valid
+         */
+        focus: (formId, step) => {
+            let panel = $("#" + $.formwizard.helper.stepId(formId, step));
+            let invalid = panel.find("[aria-invalid=true], .has-error :input, .is-invalid").filter(":input:not(:disabled):not([type=hidden])").first();
+            let heading = panel.find(".formwizard-step-heading").first();
+
+            if (invalid.length) {
+                invalid.trigger("focus");
+            } else if (heading.length) {
+                heading.attr("tabindex", "-1").trigger("focus");
+            } else {
+                panel.trigger("focus");
+            }
+        }
+    },
 
-            //add the remove button
-            let removeIcon = document.createElement("i");
-            removeIcon.className = "remove-row formwizard-x-ico";
-            removeIcon.dataset.rowid = currentIndex;
+    /**
+     * Keeps the steps in the browser history so that the back and forward
+     * buttons of the browser move between the steps, and the steps can be
+     * linked to with the url hash like `#formId-step-2`
+     */
+    browserHistory: {
+        navigating: {},
+        hash: (formId, step) => "#" + formId + "-step-" + step,
+        stepOf: (formId, hash) => {
+            let match = new RegExp("^#" + formId + "-step-(\\d+)$").exec(hash || "");
+
+            return match === null ? -1 : parseInt(match[1], 10);
+        },
+        state: (formId, step, replace) => {
+            window.history[replace ? "replaceState" : "pushState"]({
+                formwizard: formId,
+                step: step
+            }, "", $.formwizard.browserHistory.hash(formId, step));
+        },
+        init: (formId) => {
+            let browserHistory = $.formwizard.browserHistory;
+            let step = browserHistory.stepOf(formId, window.location.hash);
 
-            rowClone.insertBefore(removeIcon, rowClone.firstChild);
-            $(currentContainer)[0].appendChild(documentFragment);
+            //the entry of the page opens the current step
+            browserHistory.state(formId, $.formwizard.helper.currentIndex("#" + formId), true);
 
-            //trigger the afterInsert event 
-            eventTrigger("formwizard.afterInsert", "#" + formId + " #step-" + currentStep + " #row_" + currentIndex, {
-                rowIndex: currentIndex
+            $("#" + $.formwizard.options[formId].wizardContainerId).on("showStep" + $.formwizard.namespace(formId), function (e, anchorObject, stepNumber) {
+                //the steps opened with the browser buttons are in the history already
+                browserHistory.state(formId, stepNumber, browserHistory.navigating[formId] === true);
             });
-        },
-        removeRow: rowid => {
-            let rowContainer = $("#row_" + rowid);
-            rowContainer.find("textarea,input,select").each(function (index, element) {
 
-                //remove from the fromwizard field list
-                $.formwizard.helper.removeField(element);
+            $(window).on("popstate" + $.formwizard.namespace(formId), function (e) {
+                let state = e.originalEvent.state;
 
-                //remove from the ActiveForm validation list
-                $.formwizard.validation.removeField(element);
+                if (state !== null && state.formwizard === formId) {
+                    browserHistory.navigate(formId, state.step);
+                }
             });
 
-            rowContainer.remove();
+            //open the linked step
+            step > 0 && browserHistory.open(formId, step);
         },
-        setFieldDefaults: (element, formId, oldFieldId) => {
-            // get then name only for the tabular input
-            let nameOnly = element.name.match(/(\[[\d]{0,}\].*)/);
-            let fieldProperty = $("#" + formId).yiiActiveForm("find", oldFieldId);
-            let fieldOptions;
 
-            if (typeof fieldProperty !== 'undefined') {
-                //set the default options for the ActiveForm field
-                fieldOptions = {
-                    id: element.id,
-                    name: nameOnly[0],
-                    container: ".field-" + element.id,
-                    input: "#" + element.id,
-                    error: ".help-block.help-block-error",
-                    value: element.value,
-                    status: 0,
-                    validate: fieldProperty.hasOwnProperty('validate') ? fieldProperty.validate : function (attribute, value, messages, deferred, $form) {}
-                };
-            }
+        /**
+         * Moves to the step validating the steps in between when moving
+         * forward, the history entry is corrected if the step is not reached
+         */
+        navigate: (formId, step) => {
+            let browserHistory = $.formwizard.browserHistory;
 
-            return fieldOptions;
+            browserHistory.navigating[formId] = true;
 
+            return $.formwizard.formNavigation.jump("#" + formId, step).then(passed => {
+                browserHistory.state(formId, $.formwizard.helper.currentIndex("#" + formId), true);
+                browserHistory.navigating[formId] = false;
+                return passed;
+            });
         },
-        updateFieldAttributes: (element, currentIndex) => {
-            let hasContainer = $(element)
-                .parent()
-                .hasClass("field-" + element.id);
 
-            if (typeof $(element).attr('id') !== 'undefined') {
-                //update counter of the id
-                element.id = element.id.replace(
-                    /\-([\d]+)\-/,
-                    "-" + parseInt(currentIndex) + "-"
-                );
-            }
+        /**
+         * Opens the linked step, the steps before it are either restored from
+         * the saved draft that reached the step or validated
+         */
+        open: (formId, step) => {
+            let browserHistory = $.formwizard.browserHistory;
+            let persistence = $.formwizard.persistence;
+            let draft = $.formwizard.options[formId].enablePersistence ? persistence.read(formId) : Promise.resolve(null);
+
+            return draft.then(draft => {
+                if (!draft || !draft.position || draft.position.current < step) {
+                    return browserHistory.navigate(formId, step);
+                }
 
+                browserHistory.navigating[formId] = true;
+                return persistence.applyDraft(formId, draft).then(() => {
+                    $.formwizard.formNavigation.goToStep("#" + $.formwizard.options[formId].wizardContainerId, step);
+                    browserHistory.navigating[formId] = false;
+                    return true;
+                });
+            });
+        }
+    },
 
-            //update the counter of the name
-            element.name = element.name.replace(
-                /\[([\d]+)\]/,
-                "[" + parseInt(currentIndex) + "]"
+    /**
+     * Adds, removes and moves the steps at runtime. The steps are numbered by
+     * their position, so the state kept by the step numbers is numbered again
+     * whenever the steps are rearranged.
+     */
+    steps: {
+        /**
+         * Adds the step at the position, before the preview step if omitted,
+         * and returns the number of the step
+         */
+        add: (formId, step, position) => {
+            let options = $.formwizard.options[formId];
+            let wizardContainerId = "#" + options.wizardContainerId;
+            let smartWizard = $(wizardContainerId).data("smartWizard");
+            let fields = $.formwizard.fields[formId];
+            let number = fields.length;
+            let type = step.type || "default";
+
+            if (typeof position === "undefined") {
+                let preview = fields.findIndex((stepFields, index) => ($("#" + $.formwizard.helper.stepId(formId, index)).data("step") || {}).type == "preview");
+
+                position = preview === -1 ? number : preview;
+            }
+
+            let anchor = $("<li></li>").append(
+                $("<a></a>").attr("href", "#" + $.formwizard.helper.stepId(formId, number)).html((step.title || "Step-" + (number + 1)) + "<br />").append($("<small></small>").html(step.description || "Description"))
             );
+            let panel = $("<div></div>").attr({
+                id: $.formwizard.helper.stepId(formId, number),
+                "data-step": JSON.stringify({
+                    number: number,
+                    type: type
+                })
+            }).addClass("tab-pane step-content").hide();
 
-            //reset value
-            element.value = "";
+            panel.append($('<div class="border-bottom border-gray pb-2 formwizard-step-heading" tabindex="-1"></div>').html(step.formInfoText || "Add details below"));
 
-            //if the field container is available
-            if (hasContainer) {
-                let container = $(element).parent();
-                $(container).removeClassesExceptThese(["form-group", "required"]);
-                $(container).addClass("field-" + element.id);
-                $(container)
-                    .find("label")
-                    .attr("for", element.id);
-                $(container)
-                    .find(".help-block")
-                    .html("");
+            //add row button to add the fields dynamically
+            if (type == "tabular" && !step.hideTabularButtons) {
+                panel.append(
+                    $('<button type="button"></button>').addClass(options.classAddRow + (options.bsVersion == 3 ? " pull-right add_row" : " float-right add_row")).html(options.iconAdd + "&nbsp;Add")
+                );
             }
-        }
-    },
-    init: (selector) => {
-
-        $(selector).on("click", ".remove-row", function (e) {
-            $.formwizard.tabular.removeRow($(this).data("rowid"));
-        });
+            panel.append($('<div class="fields_container"></div>').attr("data-rows-limit", step.limitRows || -1).append(step.content || ""));
+            panel.find(".fields_container > .tabular-row").attr("id", row => $.formwizard.helper.rowId(formId, row));
 
-        $(selector + " .add_row").on("click", function (e) {
-            $.formwizard.tabular.addRow($(this));
-        });
-    },
-    persistence: {
-        assign: (obj, keyPath, value) => {
-            lastKeyIndex = keyPath.length - 1;
-            for (var i = 0; i < lastKeyIndex; ++i) {
-                key = keyPath[i];
-                if (!(key in obj)) {
-                    obj[key] = {};
-                }
-                obj = obj[key];
-            }
-            obj[keyPath[lastKeyIndex]] = value;
-        },
-        storageFields: {},
-        savefield: (fieldObject, formId, stepData) => {
-            let fieldId = fieldObject.id;
-            let fieldType = $(fieldObject).get(0).type;
-            let stepNumber = stepData.number;
-            let stepType = stepData.type;
+            smartWizard.nav.append(anchor);
+            smartWizard.container.append(panel);
 
+            //the anchors are clicked through the anchor navigation only
+            anchor.children("a").on("click" + $.formwizard.namespace(formId), e => e.preventDefault());
 
-            if (!$.formwizard.persistence.storageFields.hasOwnProperty('step-' + stepNumber)) {
-                //set the step type
-                $.formwizard.persistence.storageFields['step-' + stepNumber] = {
-                    stepType: stepType,
-                    fields: {}
-                };
+            if (anchor.siblings().hasClass("clickable")) {
+                smartWizard.nav.find("> li > a").off("click" + $.formwizard.namespace(formId));
+                $.formwizard.formNavigation.bindAnchors("#" + formId);
             }
+            $.formwizard.init(wizardContainerId);
 
+            //the fields of the step are the inputs with an id if not provided
+            fields.push(step.fields || $.formwizard.helper.fieldIds(panel));
+            (step.attributes || []).forEach(attribute => $.formwizard.validation.addField(formId, attribute));
 
-            let fieldTypes = {
-                'select-one': (fieldId) => {
-                    if ($.formwizard.persistence.storageFields['step-' + stepNumber].stepType == 'tabular') {
-                        let rowId = $("#" + formId + " #" + fieldId).closest('div.tabular-row').attr('id');
-                        if (!$.formwizard.persistence.storageFields['step-' + stepNumber].fields.hasOwnProperty(rowId)) {
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId] = {};
-                        }
-                        $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId][fieldId] = document.querySelector("#" + formId + " #" + fieldId).value;
-                    } else {
-                        //add fields to the local fieldstorage property
-                        $.formwizard.persistence.storageFields['step-' + stepNumber].fields[fieldId] = document.querySelector("#" + formId + " #" + fieldId).value;
-                    }
-
-                },
-                text: function (fieldId) {
-                    if ($.formwizard.persistence.storageFields['step-' + stepNumber].stepType == 'tabular') {
-                        let rowId = $("#" + formId + " #" + fieldId).closest('div.tabular-row').attr('id');
+            ["beforeNext", "condition", "ajaxValidationUrl", "contentUrl", "contentCache"].forEach(function (option) {
+                if (step.hasOwnProperty(option)) {
+                    options.steps = options.steps || {};
+                    options.steps[number] = options.steps[number] || {};
+                    options.steps[number][option] = step[option];
+                }
+            });
 
-                        if (!$.formwizard.persistence.storageFields['step-' + stepNumber].fields.hasOwnProperty(rowId)) {
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId] = {};
-                        }
-                        $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId][fieldId] = document.querySelector("#" + formId + " #" + fieldId).value;
-                    } else {
-                        //add fields to the local fieldstorage property
-                        $.formwizard.persistence.storageFields['step-' + stepNumber].fields[fieldId] = document.querySelector("#" + formId + " #" + fieldId).value;
-                    }
-                },
-                radio: (fieldId) => {
-                    let radioList = $("#" + formId + " #" + fieldId).closest('div[role="radiogroup"]').find('input:radio');
-                    if ($.formwizard.persistence.storageFields['step-' + stepNumber].stepType == 'tabular') {
-                        let rowId = $("#" + formId + " #" + fieldId).closest('div.tabular-row').attr('id');
-                        if (!$.formwizard.persistence.storageFields['step-' + stepNumber].fields.hasOwnProperty(rowId)) {
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId] = {};
-                        }
-                        if (radioList.length) {
-                            radioList.each(function (index, element) {
-                                //add fields to the local fieldstorage property
-                                $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId][element.id] = element.checked;
-                            });
-                        } else {
-                            //add fields to the local fieldstorage property
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId][fieldId] = $("#" + formId + " #" + fieldId).is(":checked");
-                        }
-                    } else {
-                        if (radioList.length) {
-                            radioList.each(function (index, element) {
-                                //add fields to the local fieldstorage property
-                                $.formwizard.persistence.storageFields['step-' + stepNumber].fields[element.id] = element.checked;
-                            });
-                        } else {
-                            //add fields to the local fieldstorage property
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[fieldId] = $("#" + formId + " #" + fieldId).is(":checked");
-                        }
-                    }
+            let order = fields.map((stepFields, index) => index);
 
+            position = Math.max(0, Math.min(position, number));
+            order.splice(position, 0, order.pop());
+            $.formwizard.steps.arrange(formId, order);
+            return position;
+        },
 
+        /**
+         * Removes the step along with its fields, the current step is left
+         * for the step before it first. Resolves once the step is removed.
+         */
+        remove: (formId, step) => {
+            let wizardContainerId = "#" + $.formwizard.options[formId].wizardContainerId;
+            let adapter = $.formwizard.validation.adapter(formId);
+            let helper = $.formwizard.helper;
+            let navigated = Promise.resolve();
+
+            if (!$.formwizard.fields[formId].hasOwnProperty(step)) {
+                throw new Error("Unknown step: " + step);
+            }
 
-                },
-                checkbox: (fieldId) => {
-                    let isCheckBoxList = $('#' + formId + " #" + fieldId).attr('name').match(/\[\]$/g);
+            if (step === helper.currentIndex(wizardContainerId)) {
+                let sibling = helper.siblingStep(wizardContainerId, step, -1);
 
-                    if ($.formwizard.persistence.storageFields['step-' + stepNumber].stepType == 'tabular') {
-                        let rowId = $("#" + formId + " #" + fieldId).closest('div.tabular-row').attr('id');
-                        if (!$.formwizard.persistence.storageFields['step-' + stepNumber].fields.hasOwnProperty(rowId)) {
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId] = {};
-                        }
-                        if (isCheckBoxList.length) {
-                            let checkboxList = $("input[name='" + $("#" + formId + " #" + fieldId).attr('name') + "']");
-                            checkboxList.each(function (index, element) {
-                                //add fields to the local fieldstorage property
-                                $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId][element.id] = element.checked;
-                            });
-                        } else {
-                            //add fields to the local fieldstorage property
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[rowId][fieldId] = $("#" + formId + " #" + fieldId).is(":checked");
-                        }
-                    } else {
-                        if (isCheckBoxList.length) {
-                            let checkboxList = $("input[name='" + $("#" + formId + " #" + fieldId).attr('name') + "']");
-                            checkboxList.each(function (index, element) {
-                                //add fields to the local fieldstorage property
-                                $.formwizard.persistence.storageFields['step-' + stepNumber].fields[element.id] = element.checked;
-                            });
-                        } else {
-                            //add fields to the local fieldstorage property
-                            $.formwizard.persistence.storageFields['step-' + stepNumber].fields[fieldId] = $("#" + formId + " #" + fieldId).is(":checked");
-                        }
-                    }
+                sibling = sibling === -1 ? helper.siblingStep(wizardContainerId, step, 1) : sibling;
 
+                if (sibling === -1) {
+                    throw new Error("The only step of the wizard can not be removed.");
                 }
-            };
+                $.formwizard.formNavigation.goToStep(wizardContainerId, sibling);
+
+                //the lazy step is shown once its content is loaded
+                navigated = Promise.resolve($("#" + helper.stepId(formId, sibling)).data("formwizardLoading"));
+            }
 
-            // save the complete json form inputs object to the local variable
-            fieldTypes.hasOwnProperty(fieldType) && fieldTypes[fieldType].call(this, fieldId);
+            return navigated.then(() => {
+                let fields = $.formwizard.fields[formId];
 
-            //save the complete fields json to localstorage 
-            localStorage.setItem('formwizard.' + formId, JSON.stringify($.formwizard.persistence.storageFields));
+                fields[step].forEach(fieldId => adapter.remove(formId, fieldId));
+                $.formwizard.steps.arrange(formId, fields.map((stepFields, index) => index).filter(index => index !== step));
+            });
         },
-        clearStorage: () => {
-            //the prefix for the storage
-            let prefix = "formwizard.";
-
-            //iterate all items in the storage
-            for (var key in localStorage) {
+        move: (formId, step, position) => {
+            let fields = $.formwizard.fields[formId];
+            let order = fields.map((stepFields, index) => index);
 
-                //match the prefix text
-                if (key.indexOf(prefix) == 0) {
-                    localStorage.removeItem(key);
-                }
+            if (!fields.hasOwnProperty(step) || !fields.hasOwnProperty(position)) {
+                throw new Error("Unknown step: " + (fields.hasOwnProperty(step) ? position : step));
             }
-            //clear storage fields variable
-            $.formwizard.persistence.storageFields = {};
+
+            order.splice(position, 0, order.splice(step, 1)[0]);
+            $.formwizard.steps.arrange(formId, order);
         },
-        loadForm: (formId) => {
-            //load fields stored
-            $.formwizard.persistence.storageFields = JSON.parse(localStorage.getItem("formwizard." + formId));
 
-            let storageFields = $.formwizard.persistence.storageFields;
-            let fieldTypes = {
-                'select-one': (fieldId, value) => {
-                    let field = document.querySelector("#" + formId + " #" + fieldId);
+        /**
+         * Puts the steps in the order of their current numbers and numbers
+         * them again, the steps left out of the order are removed
+         */
+        arrange: (formId, order) => {
+            let options = $.formwizard.options[formId];
+            let wizardContainerId = "#" + options.wizardContainerId;
+            let smartWizard = $(wizardContainerId).data("smartWizard");
+            let anchors = smartWizard.nav.children("li");
+            let panels = $(anchors.toArray().map((anchor, step) => $("#" + $.formwizard.helper.stepId(formId, step)).get(0)));
+            let instance = $.formwizard.instance(formId);
+
+            //the new numbers of the steps, -1 for the removed steps
+            let numbers = anchors.toArray().map((anchor, step) => order.indexOf(step));
+            let renumber = object => {
+                let result = {};
+
+                $.each(object, (step, value) => {
+                    numbers[step] >= 0 && (result[numbers[step]] = value);
+                });
+                return result;
+            };
 
-                    // restore value
-                    field.value = value;
+            numbers.forEach((number, step) => {
+                number === -1 && anchors.eq(step).add(panels.eq(step)).remove();
+            });
 
-                    //trigger change event for select2
-                    $("#" + fieldId).trigger('change');
+            order.forEach((step, number) => {
+                let panel = panels.eq(step);
 
-                    //trigger the afterRestoreEvent
-                    $.formwizard.triggerEvent('formwizard.' + formId + '.afterRestore', "#" + formId + " #" + fieldId, {
-                        fieldId: fieldId,
-                        fieldValue: value
-                    });
-                },
-                text: function (fieldId, value) {
-                    let field = document.querySelector("#" + formId + " #" + fieldId);
+                smartWizard.nav.append(anchors.eq(step));
+                smartWizard.container.append(panel);
 
-                    // restore value
-                    field.value = value;
+                anchors.eq(step).children("a").attr("href", "#" + $.formwizard.helper.stepId(formId, number));
+                panel.attr({
+                    id: $.formwizard.helper.stepId(formId, number),
+                    "data-step": JSON.stringify($.extend({}, panel.data("step"), {
+                        number: number
+                    }))
+                }).removeData("step");
+            });
 
-                    //trigger the afterRestoreEvent
-                    $.formwizard.triggerEvent('formwizard.' + formId + '.afterRestore', "#" + formId + " #" + fieldId, {
-                        fieldId: fieldId,
-                        fieldValue: value
-                    });
-                },
-                radio: (fieldId, value) => {
-                    let field = document.querySelector("#" + formId + " #" + fieldId);
+            $.formwizard.fields[formId] = order.map(step => $.formwizard.fields[formId][step]);
+            options.steps = renumber(options.steps || {});
 
-                    // restore value
-                    field.checked = value;
+            //the rules of the removed steps are dropped
+            options.rules = (options.rules || []).filter(rule => !rule.hasOwnProperty("step") || numbers[rule.step] >= 0).map(rule => {
+                if (rule.hasOwnProperty("step")) {
+                    rule.step = numbers[rule.step];
+                }
 
-                    //trigger the afterRestoreEvent
-                    $.formwizard.triggerEvent('formwizard.' + formId + '.afterRestore', "#" + formId + " #" + fieldId, {
-                        fieldId: fieldId,
-                        fieldValue: value
-                    });
-                },
-                checkbox: (fieldId, value) => {
-                    let field = document.querySelector("#" + formId + " #" + fieldId);
+                if (rule.hasOwnProperty("on")) {
+                    rule.on = [].concat(rule.on).filter(on => on == "finish" || numbers[on] >= 0).map(on => on == "finish" ? on : numbers[on]);
+                }
+                return rule;
+            });
 
-                    // restore value
-                    field.checked = value;
+            if ($.formwizard.conditions.skipped.hasOwnProperty(formId)) {
+                $.formwizard.conditions.skipped[formId] = $.formwizard.conditions.skipped[formId].map(step => numbers[step]).filter(step => step >= 0);
+            }
 
-                    //trigger the afterRestoreEvent
-                    $.formwizard.triggerEvent('formwizard.' + formId + '.afterRestore', "#" + formId + " #" + fieldId, {
-                        fieldId: fieldId,
-                        fieldValue: value
-                    });
-                }
-            };
+            if ($.formwizard.aria.errors.hasOwnProperty(formId)) {
+                $.formwizard.aria.errors[formId] = renumber($.formwizard.aria.errors[formId]);
+                $.formwizard.aria.label(formId);
+            }
 
-            //iterate an retore data for all the fields
-            for (let steps in storageFields) {
-                let stepData = storageFields[steps];
+            let storageFields = {};
 
-                if (stepData.stepType !== 'tabular') {
-                    let fields = stepData.fields;
+            $.each(instance.storageFields, function (stepKey, stepData) {
+                let number = numbers[parseInt(stepKey.replace("step-", ""), 10)];
 
-                    for (let id in fields) {
-                        if (fields.hasOwnProperty(id)) {
-                            let value = fields[id];
+                number >= 0 && (storageFields["step-" + number] = stepData);
+            });
+            instance.storageFields = storageFields;
+
+            //refresh the elements and the step states of the plugin
+            anchors = smartWizard.nav.children("li");
+            smartWizard.steps = $("li > a", smartWizard.nav);
+            smartWizard.pages = smartWizard.container.children("div");
+            smartWizard.current_index = anchors.filter(".active").length ? anchors.filter(".active").index() : null;
+
+            $.each({
+                disabledSteps: "disabled",
+                errorSteps: "danger",
+                hiddenSteps: "hidden"
+            }, function (option, className) {
+                smartWizard.options[option] = anchors.map(function (step) {
+                    return $(this).hasClass(className) ? step : null;
+                }).get();
+            });
 
-                            //get the field type
-                            let fieldType = $("#" + id).get(0).type;
+            //the undo history refers to the steps of the rows
+            $.formwizard.history.forms.hasOwnProperty(formId) && $.formwizard.history.clear(formId);
 
-                            //cal the relative method to restore the value
-                            fieldTypes.hasOwnProperty(fieldType) && fieldTypes[fieldType].call(this, id, value);
-                        }
-                    }
-                } else {
-                    let rows = stepData.fields;
+            //the drafts are stamped with the version of the new steps
+            delete $.formwizard.persistence.versions[formId];
 
-                    //get the rows length
-                    let rowsLength = Object.keys(rows).length;
+            //the added steps may be skipped and the first and final steps may have changed
+            $.formwizard.conditions.evaluate(formId);
+            $.formwizard.helper.toggleButtons(wizardContainerId, $.formwizard.helper.stepPosition(wizardContainerId, $.formwizard.helper.currentIndex(wizardContainerId)));
 
-                    //trigger click for add row if more than 1
-                    if (rowsLength > 1) {
-                        for (let iter = 1; iter <= rowsLength - 1; iter++) {
-                            //trigger the click for the Add Row button
-                            $("#" + steps + " .add_row").trigger('click');
-                        }
-                    }
+            if (options.enablePersistence) {
+                $.formwizard.persistence.write(formId);
+            }
 
-                    //iterate the rows
-                    for (let row in rows) {
+            $.formwizard.triggerEvent("formwizard." + formId + ".stepsUpdate", "#" + formId, {
+                order: order
+            });
+        }
+    },
 
-                        if (rows.hasOwnProperty(row)) {
-                            let fields = rows[row];
+    /**
+     * The methods of the jQuery plugin like `$('#formId').formwizard('goTo', 2)`,
+     * called with the form id followed by the arguments of the plugin call
+     */
+    api: {
+        getData: (formId) => $.formwizard.helper.fieldValues(formId),
 
-                            //iterate the fields
-                            for (let id in fields) {
+        /**
+         * Fills the fields with the values keyed by the field ids like the
+         * `getData` returns, the missing tabular rows are added
+         */
+        setData: (formId, values) => {
+            let persistence = $.formwizard.persistence;
+            let storageFields = {};
 
-                                let value = fields[id];
+            $.each(values, function (fieldId, value) {
+                let row = /\-([\d]+)\-/.exec(fieldId);
 
-                                //get the field type
-                                let fieldType = $("#" + id).get(0).type;
+                //the fields of the tabular rows not added yet are found with the first row
+                let step = $.formwizard.fields[formId].findIndex(
+                    stepFields => stepFields.indexOf(fieldId) !== -1 || (row !== null && stepFields.indexOf(fieldId.replace(row[0], "-0-")) !== -1)
+                );
 
-                                //cal the relative method to restore the value
-                                fieldTypes.hasOwnProperty(fieldType) && fieldTypes[fieldType].call(this, id, value);
-                            }
-                        }
-                    }
+                if (step === -1) {
+                    return;
                 }
-            }
 
-        },
-        init: (formId) => {
+                let stepType = $("#" + $.formwizard.helper.stepId(formId, step)).data("step").type;
+                let stepData = storageFields["step-" + step] = storageFields["step-" + step] || {
+                    stepType: stepType,
+                    fields: {}
+                };
+                let fields = stepData.fields;
 
-            //bind the onchange for the form inputs to update the form data as soon it is updated
-            $(document).on("change", "#" + formId + " :input", function (e) {
-                let stepData = $(this).closest("div.step-content").data('step');
-                $.formwizard.persistence.savefield(e.currentTarget, formId, stepData);
+                if (stepType == "tabular") {
+                    let rowId = "row_" + (row !== null ? row[1] : 0);
+
+                    fields = fields[rowId] = fields[rowId] || {};
+                }
+                fields[fieldId] = value;
             });
 
-            //bind restore button
-            $("#" + formId + " button.formwizard_restore").on("click", function (e) {
-                e.preventDefault();
-                $.formwizard.persistence.loadForm(formId);
+            persistence.restoreFields(formId, storageFields);
+
+            if ($.formwizard.options[formId].enablePersistence) {
+                $.formwizard.instance(formId).storageFields = persistence.collect(formId);
+                return persistence.write(formId);
+            }
+            return Promise.resolve();
+        },
+        goTo: (formId, step) => $.formwizard.formNavigation.jump("#" + formId, step),
+        next: (formId) => $.formwizard.formNavigation.jumpSibling("#" + formId, 1),
+        prev: (formId) => $.formwizard.formNavigation.jumpSibling("#" + formId, -1),
+        validateStep: (formId, step = $.formwizard.helper.currentIndex("#" + formId)) => $.formwizard.validation.validateStep(formId, step),
+
+        /**
+         * Puts the fields back to the values the page was loaded with, removes
+         * the added tabular rows and the saved draft, and opens the first step
+         */
+        reset: (formId) => {
+            let form = $("#" + formId);
+            let wizardContainerId = "#" + $.formwizard.options[formId].wizardContainerId;
+            let validation = $.formwizard.validation;
+
+            form.find(".tabular-row[data-formwizard-added]").each(function () {
+                $.formwizard.tabular.removeRow($.formwizard.tabular.rowIndex(this), $(this).parent());
             });
+            form.get(0).reset();
+            $.formwizard.conditions.evaluate(formId);
+
+            validation.adapter(formId).reset(formId);
+            $.formwizard.fields[formId].forEach((stepFields, step) => validation.markStep(formId, step, {}));
+
+            $.formwizard.formNavigation.goToStep(wizardContainerId, $.formwizard.helper.siblingStep(wizardContainerId, -1, 1));
+            $(wizardContainerId + " > ul.step-anchor > li").removeClass("done");
 
+            $.formwizard.history.forms.hasOwnProperty(formId) && $.formwizard.history.clear(formId);
+
+            if ($.formwizard.options[formId].enablePersistence) {
+                return $.formwizard.persistence.clearStorage(formId);
+            }
+            return Promise.resolve();
+        },
+        addStep: (formId, step, position) => $.formwizard.steps.add(formId, step, position),
+        removeStep: (formId, step) => $.formwizard.steps.remove(formId, step),
+        moveStep: (formId, step, position) => {
+            $.formwizard.steps.move(formId, step, position);
+        },
+        destroy: (formId) => {
+            $.formwizard.destroy(formId);
+        },
+        option: (formId, name, value) => {
+            let options = $.formwizard.options[formId];
+
+            if (typeof name === "undefined") {
+                return $.extend({}, options);
+            }
+
+            if (typeof value === "undefined") {
+                return options[name];
+            }
+            options[name] = value;
         }
     }
 };
 
+//default persistence handlers for the inputs holding a single value, the
+//password inputs are left out and saved only with the `data-persistence-type`
+$.formwizard.persistence.registerFieldType([
+    "text", "textarea", "select-one", "number", "email", "search", "tel", "url",
+    "date", "datetime-local", "month", "week", "time", "range", "color", "hidden"
+], {
+    serialize: field => ({
+        [field.id]: field.value
+    }),
+    restore: (field, value) => {
+        field.value = value;
+
+        //trigger change event for select2
+        if (field.type == "select-one") {
+            $(field).trigger("change");
+        }
+    }
+});
+
+//multiple select saves the array of selected values
+$.formwizard.persistence.registerFieldType("select-multiple", {
+    serialize: field => ({
+        [field.id]: $(field).val() || []
+    }),
+    restore: (field, value) => {
+        $(field).val(value).trigger("change");
+    }
+});
+
+//single radio and checkbox inputs save the checked state
+$.formwizard.persistence.registerFieldType(["radio", "checkbox"], {
+    serialize: field => ({
+        [field.id]: field.checked
+    }),
+    restore: (field, value) => {
+        field.checked = value;
+    }
+});
+
+//radio lists save the checked value, the items of the list are searched
+//inside the list container so that the rows of a tabular step stay apart
+$.formwizard.persistence.registerFieldType("radiolist", {
+    serialize: field => ({
+        [field.id]: $(field).find("input:radio:checked").val() || null
+    }),
+    restore: (field, value) => {
+        $(field).find("input:radio").each(function (index, element) {
+            element.checked = element.value === value;
+        });
+    }
+});
+
+//checkbox lists save the array of checked values
+$.formwizard.persistence.registerFieldType("checkboxlist", {
+    serialize: field => ({
+        [field.id]: $(field).find("input:checkbox:checked").map(function () {
+            return this.value;
+        }).get()
+    }),
+    restore: (field, value) => {
+        $(field).find("input:checkbox").each(function (index, element) {
+            element.checked = $.inArray(element.value, value) !== -1;
+        });
+    }
+});
+
 //used for the class difference to remove the classes
 Array.prototype.classDiff = function (a) {
     return this.filter(function (i) {
@@ -826,6 +3921,46 @@ Array.prototype.classDiff = function (a) {
     });
 };
 
+//destroy the wizards of the PJAX content being replaced, and init them again
+//when the content is restored from the PJAX cache as it runs no scripts
+$(document).on("pjax:beforeReplace", function (e) {
+    Object.keys($.formwizard.options).forEach(formId => $(e.target).find("#" + formId).length && $.formwizard.destroy(formId));
+}).on("pjax:end", function (e, xhr) {
+    //the content loaded with the request registers its wizards by its scripts
+    if (xhr) {
+        return;
+    }
+
+    $.each($.formwizard.initializers, function (formId, init) {
+        if ($(e.target).find("#" + formId).length && !$.formwizard.options.hasOwnProperty(formId)) {
+            $.formwizard.register(formId, init);
+        }
+    });
+});
+
+//the instance API of the wizard, returns the result of the method or the
+//elements to chain the calls if the method returns nothing
+$.fn.formwizard = function (method) {
+    let formId = this.first().closest("form").attr("id");
+
+    if (!$.formwizard.api.hasOwnProperty(method)) {
+        throw new Error("Unknown formwizard method: " + method);
+    }
+
+    if (!$.formwizard.options.hasOwnProperty(formId)) {
+        throw new Error("The element is not a formwizard form.");
+    }
+
+    let args = Array.prototype.slice.call(arguments, 1);
+    let result = $.formwizard.api[method].apply(null, [formId].concat(args));
+
+    //the option getter returns the value even if it is undefined
+    if (method === "option" && args.length < 2) {
+        return result;
+    }
+    return typeof result === "undefined" ? this : result;
+};
+
 //removes all the classes from the element other than the specified
 $.fn.removeClassesExceptThese = function (classList) {
     /* pass mutliple class name in array like ["first", "second"] */
@@ -131,17 +131,22 @@ trait WizardTrait
         $formEvents = [
             'afterInsert' => function ($eventName, $formId, $index, $eventCallBack) {
                 $this->_tabularEventJs .= <<<JS
-                    $(document).on("formwizard.{$eventName}","#{$formId} #step-{$index} .fields_container>div[id^='row_']",{$eventCallBack});
+                    $(document).on("formwizard.{$eventName}.formwizard-{$formId}","#{$formId} [data-formwizard-key='{$index}'] .fields_container>div[id^='{$formId}_row_']",{$eventCallBack});
+JS;
+            },
+            'beforeRemove' => function ($eventName, $formId, $index, $eventCallBack) {
+                $this->_tabularEventJs .= <<<JS
+                    $(document).on("formwizard.{$eventName}.formwizard-{$formId}","#{$formId} [data-formwizard-key='{$index}'] .fields_container>div[id^='{$formId}_row_']",{$eventCallBack});
 JS;
             },
             'afterClone' => function ($eventName, $formId, $index, $eventCallBack, $attributeId) {
                 $this->_tabularEventJs .= <<<JS
-                    $(document).on("formwizard.{$eventName}","#{$formId} #step-{$index} #{$attributeId}",{$eventCallBack});
+                    $(document).on("formwizard.{$eventName}.formwizard-{$formId}","#{$formId} [data-formwizard-key='{$index}'] #{$attributeId}",{$eventCallBack});
 JS;
             },
             'beforeClone' => function ($eventName, $formId, $index, $eventCallBack, $attributeId) {
                 $this->_tabularEventJs .= <<<JS
-                    $(document).on("formwizard.{$eventName}","#{$formId} #step-{$index} #{$attributeId}",{$eventCallBack});
+                    $(document).on("formwizard.{$eventName}.formwizard-{$formId}","#{$formId} [data-formwizard-key='{$index}'] #{$attributeId}",{$eventCallBack});
 JS;
             },
         ];
@@ -165,7 +170,7 @@ JS;
         foreach ($persistenceEvents as $eventName => $callback) {
             $eventCallBack = new JsExpression($callback);
             $this->_persistenceEvents .= <<<JS
-            $(document).on("formwizard.{$formId}.{$eventName}","#{$formId} #{$attributeId}",{$eventCallBack});
+            $(document).on("formwizard.{$formId}.{$eventName}.formwizard-{$formId}","#{$formId} #{$attributeId}",{$eventCallBack});
 JS;
         }
     }